@@ -0,0 +1,254 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2016, Joyent, Inc.
+ */
+
+/*
+ * capabilities.js: detect what the client and server under test support
+ *
+ * The test suite runs against many versions of the client and server, and some
+ * tests only make sense for versions that support a particular feature.  Tests
+ * declare the capabilities they need (see the "requires" option in
+ * lib/harness.js, or use checkClient() and check() directly), and they're
+ * skipped with a reason when the client or server under test lacks one.
+ */
+
+var mod_assertplus = require('assert-plus');
+var mod_moray = require('moray');
+var VError = require('verror');
+
+var mod_fakeserver = require('./fakeserver');
+
+/* exported interface */
+exports.capabilityNames = capabilityNames;
+exports.clientVersion = clientVersion;
+exports.checkClient = checkClient;
+exports.check = check;
+
+/*
+ * Known capabilities.  Client capabilities are determined by inspecting the
+ * installed "moray" package.  Each has a "check" function that returns null if
+ * the client supports the capability or a string explaining why not.  Server
+ * capabilities are determined from the API version that the server reports in
+ * response to the "version" RPC: each has the minimum version ("minVersion")
+ * that supports it.
+ *
+ *     versionInternal          the client provides versionInternal() for
+ *                              making the "version" RPC
+ *
+ *     translateLegacyOptions   the client exports
+ *                              Client.privateTranslateLegacyOptions()
+ *
+ *     unwrapErrors             the client supports the "unwrapErrors" option
+ *                              (added in v2)
+ *
+ *     wrappedErrors            the client wraps errors from the server, so that
+ *                              their causes can be found with
+ *                              VError.findCauseByName() (added in v2)
+ *
+ *     fastServer               the client's "fast" package provides a
+ *                              server implementation, which lib/fakeserver.js
+ *                              needs (added in fast v2)
+ *
+ *     serverVersion            the server responds to the "version" RPC (very
+ *                              old servers do not)
+ */
+var capabilities = {
+    'versionInternal': {
+        'kind': 'client',
+        'check': function () {
+            return (typeof (mod_moray.Client.prototype.versionInternal) ==
+                'function' ? null : 'client lacks versionInternal()');
+        }
+    },
+    'translateLegacyOptions': {
+        'kind': 'client',
+        'check': function () {
+            return (typeof (mod_moray.Client.privateTranslateLegacyOptions) ==
+                'function' ? null :
+                'client lacks Client.privateTranslateLegacyOptions()');
+        }
+    },
+    'unwrapErrors': {
+        'kind': 'client',
+        'check': function () {
+            return (checkClientMajor(2, '"unwrapErrors" option'));
+        }
+    },
+    'wrappedErrors': {
+        'kind': 'client',
+        'check': function () {
+            return (checkClientMajor(2, 'wrapped errors'));
+        }
+    },
+    'fastServer': {
+        'kind': 'client',
+        'check': function () {
+            return (mod_fakeserver.checkFastServer());
+        }
+    },
+    'serverVersion': {
+        'kind': 'server',
+        'minVersion': 2
+    }
+};
+
+/*
+ * The server's API version, once we've asked.  All servers used by a test
+ * program run the same implementation, so we only need to ask once, which is
+ * good because old servers never respond to the "version" RPC, so asking can
+ * take a while.
+ */
+var serverVersion = null;
+
+/*
+ * Returns the names of all known capabilities.
+ */
+function capabilityNames()
+{
+    return (Object.keys(capabilities));
+}
+
+/*
+ * Returns the version of the installed client package (e.g., "2.0.1"), or null
+ * if it can't be determined.
+ */
+function clientVersion()
+{
+    try {
+        return (require('moray/package.json').version);
+    } catch (ex) {
+        return (null);
+    }
+}
+
+function checkClientMajor(major, what)
+{
+    var version = clientVersion();
+
+    if (version === null) {
+        return ('cannot determine client version to check for ' + what);
+    }
+
+    if (parseInt(version, 10) < major) {
+        return ('client v' + version + ' predates ' + what);
+    }
+
+    return (null);
+}
+
+/*
+ * Returns null if the client supports client capability "name", or a string
+ * explaining why it doesn't.  This is synchronous, so it can be used anywhere,
+ * including to decide whether to define a test at all.
+ */
+function checkClient(name)
+{
+    mod_assertplus.string(name, 'name');
+    mod_assertplus.ok(capabilities.hasOwnProperty(name),
+        'unknown capability: "' + name + '"');
+    mod_assertplus.equal(capabilities[name].kind, 'client',
+        '"' + name + '" is not a client capability');
+    return (capabilities[name].check());
+}
+
+/*
+ * Check whether the client and server support all of the capabilities in
+ * "names" and invoke callback(reason), where "reason" is null if they do or a
+ * string explaining which capability is missing and why.  "client" is a
+ * connected client used to ask the server for its version if any server
+ * capabilities are required.
+ */
+function check(names, client, callback)
+{
+    var i, reason, needServer;
+
+    mod_assertplus.arrayOfString(names, 'names');
+    mod_assertplus.func(callback, 'callback');
+
+    needServer = [];
+    for (i = 0; i < names.length; i++) {
+        mod_assertplus.ok(capabilities.hasOwnProperty(names[i]),
+            'unknown capability: "' + names[i] + '"');
+        if (capabilities[names[i]].kind == 'server') {
+            needServer.push(names[i]);
+            continue;
+        }
+
+        reason = capabilities[names[i]].check();
+        if (reason !== null) {
+            setImmediate(callback, 'requires ' + names[i] + ': ' + reason);
+            return;
+        }
+    }
+
+    if (needServer.length === 0) {
+        setImmediate(callback, null);
+        return;
+    }
+
+    fetchServerVersion(client, function (failure) {
+        for (i = 0; i < needServer.length; i++) {
+            if (failure !== null) {
+                callback('requires ' + needServer[i] + ': ' + failure);
+                return;
+            }
+
+            if (serverVersion < capabilities[needServer[i]].minVersion) {
+                callback('requires ' + needServer[i] + ': server API ' +
+                    'version ' + serverVersion + ' is older than ' +
+                    capabilities[needServer[i]].minVersion);
+                return;
+            }
+        }
+
+        callback(null);
+    });
+}
+
+/*
+ * Ask the server for its API version (using "client") if we haven't already,
+ * and invoke callback(reason), where "reason" is null if "serverVersion" is now
+ * set or a string explaining why we couldn't determine it.
+ */
+function fetchServerVersion(client, callback)
+{
+    var reason;
+
+    if (serverVersion !== null) {
+        setImmediate(callback, null);
+        return;
+    }
+
+    if (client === null || client === undefined) {
+        setImmediate(callback,
+            'cannot determine server version without a client');
+        return;
+    }
+
+    reason = checkClient('versionInternal');
+    if (reason !== null) {
+        setImmediate(callback,
+            'cannot determine server version (' + reason + ')');
+        return;
+    }
+
+    client.versionInternal(function (err, version) {
+        if (err && VError.findCauseByName(err, 'TimeoutError') !== null) {
+            /* Servers that predate the "version" RPC never respond. */
+            serverVersion = 1;
+        } else if (err) {
+            callback('failed to determine server version: ' + err.message);
+            return;
+        } else {
+            serverVersion = version;
+        }
+
+        callback(null);
+    });
+}
@@ -9,17 +9,51 @@
  */
 
 /*
- * envfile.js: manage bash-compatible environment files
+ * envfile.js: manage environment files for POSIX shells (including bash), fish,
+ * dotenv-style tools, and tools that read JSON
  */
 
 var mod_assertplus = require('assert-plus');
 var mod_jsprim = require('jsprim');
 var mod_stream = require('stream');
 var mod_wordwrap = require('wordwrap');
+var VError = require('verror');
 var wrap78 = mod_wordwrap(78);
 
 /* exported interface */
 exports.Environment = Environment;
+exports.envFormats = envFormats;
+exports.parseEnvironment = parseEnvironment;
+
+/*
+ * Supported output formats.  Each has a function that returns the text for a
+ * single variable ("evar", as stored by setVar()).  The JSON format is handled
+ * separately because it's not line-oriented.
+ *
+ *     sh       POSIX shell ("export NAME='value'"), suitable for sh and bash
+ *
+ *     fish     fish shell ("set -gx NAME 'value'").  Variables whose names end
+ *              in "PATH" are split on colons, since fish represents them as
+ *              lists.
+ *
+ *     dotenv   "NAME=value" lines, as read by tools that support ".env" files
+ *
+ *     json     a JSON object mapping each name to its value
+ */
+var formats = {
+    'sh': formatSh,
+    'fish': formatFish,
+    'dotenv': formatDotenv,
+    'json': null
+};
+
+/*
+ * Returns the names of the supported output formats.
+ */
+function envFormats()
+{
+    return (Object.keys(formats));
+}
 
 /*
  * An "Environment" instance encapsulates a collection of shell environment
@@ -92,13 +126,70 @@ Environment.prototype.prependPath = function envPrependPath(args)
 };
 
 /*
- * Returns a Readable stream that emits the environment variables in shell
- * format.
+ * Returns the variable called "name" as an object with "name", "value", and
+ * "comment" (which may be null) properties, or null if it's not set.
  */
-Environment.prototype.readable = function envReadable()
+Environment.prototype.getVar = function envGetVar(name)
+{
+    var evar;
+
+    mod_assertplus.string(name, 'name');
+    if (!this.e_vars.hasOwnProperty(name)) {
+        return (null);
+    }
+
+    evar = this.e_vars[name];
+    return ({
+        'name': evar.ev_name,
+        'value': evar.ev_value,
+        'comment': evar.ev_comment
+    });
+};
+
+/*
+ * Remove the variable called "name", if it's set.
+ */
+Environment.prototype.unsetVar = function envUnsetVar(name)
+{
+    mod_assertplus.string(name, 'name');
+    delete (this.e_vars[name]);
+};
+
+/*
+ * Returns the names of the variables that are set, in the order in which they
+ * were first set (which is the order in which they're written out).
+ */
+Environment.prototype.names = function envNames()
+{
+    return (Object.keys(this.e_vars));
+};
+
+/*
+ * Returns a Readable stream that emits the environment variables in the given
+ * format (see "formats" above), which defaults to "sh".  Values are quoted so
+ * that they're read back exactly as they were set, regardless of what
+ * characters they contain.
+ */
+Environment.prototype.readable = function envReadable(format)
 {
     var stream = new mod_stream.PassThrough();
+    var formatter, json;
+
+    mod_assertplus.optionalString(format, 'format');
+    format = format || 'sh';
+    mod_assertplus.ok(formats.hasOwnProperty(format),
+        'unsupported format: "' + format + '"');
+
+    if (format == 'json') {
+        json = {};
+        mod_jsprim.forEachKey(this.e_vars, function (name, evar) {
+            json[name] = evar.ev_value;
+        });
+        stream.end(JSON.stringify(json, null, 4) + '\n');
+        return (stream);
+    }
 
+    formatter = formats[format];
     mod_jsprim.forEachKey(this.e_vars, function (_, evar) {
         var c;
         if (evar.ev_comment !== null) {
@@ -112,10 +203,296 @@ Environment.prototype.readable = function envReadable()
             stream.write(c.join(''));
         }
 
-        stream.write('export ' + evar.ev_name + '=\'' +
-            evar.ev_value + '\'\n\n');
+        stream.write(formatter(evar) + '\n\n');
     });
 
     stream.end();
     return (stream);
 };
+
+function formatSh(evar)
+{
+    return ('export ' + evar.ev_name + '=' + quoteSh(evar.ev_value));
+}
+
+function formatFish(evar)
+{
+    if (/PATH$/.test(evar.ev_name)) {
+        return ('set -gx ' + evar.ev_name + ' (string split \':\' -- ' +
+            quoteFish(evar.ev_value) + ')');
+    }
+
+    return ('set -gx ' + evar.ev_name + ' ' + quoteFish(evar.ev_value));
+}
+
+/*
+ * There's no standard for dotenv files, but tools generally agree that values
+ * in single quotes are taken literally and that values in double quotes may
+ * use backslash escapes.  We use single quotes unless the value contains
+ * characters that can't appear in them.
+ */
+function formatDotenv(evar)
+{
+    var value = evar.ev_value;
+
+    if (!/['\n\r]/.test(value)) {
+        return (evar.ev_name + '=\'' + value + '\'');
+    }
+
+    return (evar.ev_name + '="' + value.replace(/[\\"$`]/g, '\\$&').replace(
+        /\n/g, '\\n').replace(/\r/g, '\\r') + '"');
+}
+
+/*
+ * Quote "value" for a POSIX shell.  Nothing is special inside single quotes
+ * except the single quote itself, which we emit by closing the quoted string,
+ * adding an escaped quote, and opening a new quoted string.
+ */
+function quoteSh(value)
+{
+    return ('\'' + value.replace(/'/g, '\'\\\'\'') + '\'');
+}
+
+/*
+ * Quote "value" for fish, where backslashes and single quotes must be escaped
+ * inside single quotes.
+ */
+function quoteFish(value)
+{
+    return ('\'' + value.replace(/[\\']/g, '\\$&') + '\'');
+}
+
+/*
+ * Parse "contents", the contents of an environment file in the given format
+ * (see "formats" above, which defaults to "sh"), and return a new Environment
+ * with the same variables and comments.  This understands the files written by
+ * readable(), not arbitrary shell scripts.  Comments are unwrapped, so a
+ * comment written across several lines is read back as a single line.  Comments
+ * that aren't immediately followed by a variable (like the header of a
+ * generated file) are ignored.  Throws an error if the file can't be parsed.
+ */
+function parseEnvironment(contents, format)
+{
+    var env, parser, comment, line, lineno, value, parsed, pos, eol;
+
+    mod_assertplus.string(contents, 'contents');
+    mod_assertplus.optionalString(format, 'format');
+    format = format || 'sh';
+    mod_assertplus.ok(formats.hasOwnProperty(format),
+        'unsupported format: "' + format + '"');
+
+    env = new Environment();
+    if (format == 'json') {
+        try {
+            parsed = JSON.parse(contents);
+        } catch (ex) {
+            throw (new VError(ex, 'parse environment'));
+        }
+
+        if (typeof (parsed) != 'object' || parsed === null ||
+            Array.isArray(parsed)) {
+            throw (new VError('parse environment: expected an object'));
+        }
+
+        mod_jsprim.forEachKey(parsed, function (name, val) {
+            if (typeof (val) != 'string' ||
+                !/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(name)) {
+                throw (new VError('parse environment: bad value for "%s"',
+                    name));
+            }
+
+            env.setVar({ 'name': name, 'value': val });
+        });
+        return (env);
+    }
+
+    parser = parsers[format];
+    comment = null;
+    lineno = 1;
+    pos = 0;
+    while (pos < contents.length) {
+        eol = contents.indexOf('\n', pos);
+        if (eol == -1) {
+            eol = contents.length;
+        }
+
+        line = contents.substring(pos, eol);
+        if (/^\s*$/.test(line) || line.charAt(0) == '#') {
+            /*
+             * Comments written by readable() may be surrounded by lines with
+             * just "#", which we skip.  A blank line separates a comment from
+             * the next variable, so the comment doesn't belong to it.
+             */
+            line = line.charAt(0) == '#' ? line.substr(1).replace(/^ /, '') :
+                null;
+            if (line === null) {
+                comment = null;
+            } else if (line.length > 0) {
+                comment = comment === null ? line : comment + ' ' + line;
+            }
+
+            pos = eol + 1;
+            lineno++;
+            continue;
+        }
+
+        value = parser(contents, pos);
+        if (value instanceof Error) {
+            throw (new VError(value, 'parse environment: line %d', lineno));
+        }
+
+        if (value.end < contents.length &&
+            contents.charAt(value.end) != '\n') {
+            throw (new VError('parse environment: line %d: unexpected ' +
+                'text after value', lineno));
+        }
+
+        env.setVar({
+            'name': value.name,
+            'value': value.value,
+            'comment': comment === null ? undefined : comment
+        });
+        comment = null;
+        lineno += contents.substring(pos, value.end).split('\n').length;
+        pos = value.end + 1;
+    }
+
+    return (env);
+}
+
+/*
+ * Parsers for the line-oriented formats.  Each is invoked with the contents of
+ * the file and the position of the start of an assignment, and returns either
+ * an Error or an object with the variable's "name" and "value" and the
+ * position just after the assignment ("end").
+ */
+var parsers = {
+    'sh': parseSh,
+    'fish': parseFish,
+    'dotenv': parseDotenv
+};
+
+function parseSh(contents, pos)
+{
+    var match, name, value;
+
+    match = /^export ([a-zA-Z_][a-zA-Z0-9_]*)=/.exec(contents.substr(pos));
+    if (match === null) {
+        return (new VError('expected "export NAME=VALUE"'));
+    }
+
+    name = match[1];
+    /*
+     * readable() writes a sequence of single-quoted strings separated by
+     * escaped single quotes.
+     */
+    pos += match[0].length;
+    value = '';
+    for (;;) {
+        if (contents.charAt(pos) == '\'') {
+            match = parseQuoted(contents, pos, '\'', null);
+            if (match instanceof Error) {
+                return (match);
+            }
+
+            value += match.value;
+            pos = match.end;
+        } else if (contents.substr(pos, 2) == '\\\'') {
+            value += '\'';
+            pos += 2;
+        } else {
+            break;
+        }
+    }
+
+    return ({ 'name': name, 'value': value, 'end': pos });
+}
+
+function parseFish(contents, pos)
+{
+    var match, name, value, split;
+
+    match = /^set -gx ([a-zA-Z_][a-zA-Z0-9_]*) /.exec(contents.substr(pos));
+    if (match === null) {
+        return (new VError('expected "set -gx NAME VALUE"'));
+    }
+
+    name = match[1];
+    pos += match[0].length;
+    split = '(string split \':\' -- ';
+    if (contents.substr(pos, split.length) == split) {
+        value = parseQuoted(contents, pos + split.length, '\'', '\\\'');
+        if (!(value instanceof Error) && contents.charAt(value.end) != ')') {
+            value = new VError('expected ")"');
+        } else if (!(value instanceof Error)) {
+            value.end++;
+        }
+    } else {
+        value = parseQuoted(contents, pos, '\'', '\\\'');
+    }
+
+    if (value instanceof Error) {
+        return (value);
+    }
+
+    return ({ 'name': name, 'value': value.value, 'end': value.end });
+}
+
+function parseDotenv(contents, pos)
+{
+    var match, name, value;
+
+    match = /^([a-zA-Z_][a-zA-Z0-9_]*)=/.exec(contents.substr(pos));
+    if (match === null) {
+        return (new VError('expected "NAME=VALUE"'));
+    }
+
+    name = match[1];
+    pos += match[0].length;
+    if (contents.charAt(pos) == '"') {
+        value = parseQuoted(contents, pos, '"', '\\"$`nr');
+    } else {
+        value = parseQuoted(contents, pos, '\'', null);
+    }
+
+    if (value instanceof Error) {
+        return (value);
+    }
+
+    return ({ 'name': name, 'value': value.value, 'end': value.end });
+}
+
+/*
+ * Parse a string starting at "pos" in "contents" and enclosed in "quote".
+ * If "escapes" is not null, then a backslash followed by one of the characters
+ * in "escapes" stands for that character (or a newline or carriage return, for
+ * "n" and "r").  Returns an Error or an object with the "value" and the
+ * position just after the closing quote ("end").
+ */
+function parseQuoted(contents, pos, quote, escapes)
+{
+    var value = '';
+    var c;
+
+    if (contents.charAt(pos) != quote) {
+        return (new VError('expected %s', quote));
+    }
+
+    for (pos++; pos < contents.length; pos++) {
+        c = contents.charAt(pos);
+        if (c == quote) {
+            return ({ 'value': value, 'end': pos + 1 });
+        }
+
+        if (c == '\\' && escapes !== null && pos + 1 < contents.length &&
+            escapes.indexOf(contents.charAt(pos + 1)) != -1) {
+            c = contents.charAt(++pos);
+            value += c == 'n' ? '\n' : c == 'r' ? '\r' : c;
+            continue;
+        }
+
+        value += c;
+    }
+
+    return (new VError('unterminated string'));
+}
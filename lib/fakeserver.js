@@ -0,0 +1,307 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2016, Joyent, Inc.
+ */
+
+/*
+ * fakeserver.js: scriptable, in-process server that speaks the Fast protocol
+ */
+
+var mod_assertplus = require('assert-plus');
+var mod_jsprim = require('jsprim');
+var mod_net = require('net');
+var mod_path = require('path');
+var VError = require('verror');
+
+var helper = require('../test/helper');
+
+/* exported interface */
+exports.FakeServer = FakeServer;
+exports.checkFastServer = checkFastServer;
+
+/*
+ * A FakeServer accepts connections from a Moray client and responds to each
+ * RPC however the test has scripted it, without a real Moray server or
+ * database behind it.  This is useful for testing client behavior that's hard
+ * to provoke from a real server (like specific errors or an unresponsive
+ * server) and for client tests that should run anywhere.  Named arguments:
+ *
+ *     port         local port on which to listen (default: any available port)
+ *     [number]
+ *
+ *     log          bunyan logger (default: one from helper.createLogger())
+ *     [object]
+ *
+ * Tests script responses with respond(), passing the RPC method name (e.g.,
+ * "putObject", "findObjects", "sql", or "version") and either a handler
+ * function or a response object with any of these properties:
+ *
+ *     records      array of objects to send back, in order.  Most RPCs
+ *     [array]      (like "getObject") send back a single object, while
+ *                  streaming RPCs (like "findObjects") may send any number.
+ *
+ *     error        an object with "name" and "message" properties (and
+ *     [object]     optionally "context") describing an error to send back
+ *                  after any "records"
+ *
+ *     delay        time in milliseconds to wait before responding
+ *     [number]
+ *
+ *     silent       never respond at all
+ *     [bool]
+ *
+ * A handler function is invoked as handler(argv, rpc), where "argv" is the
+ * array of RPC arguments and "rpc" is the Fast RPC context, which has write(),
+ * end(), and fail() methods for responding.
+ *
+ * The server only handles RPC methods that have been scripted.  Fast itself
+ * rejects any other RPC with a FastError ("unsupported RPC method"), and such
+ * RPCs never reach this object.  Every RPC for a scripted method is recorded
+ * (see calls()) so that tests can check what the client sent.
+ *
+ * Call listen() to start accepting connections and close() to shut down.
+ */
+function FakeServer(args)
+{
+    var reason;
+
+    reason = checkFastServer();
+    if (reason !== null) {
+        throw (new VError('cannot create fake server: %s', reason));
+    }
+
+    args = args || {};
+    mod_assertplus.object(args, 'args');
+    mod_assertplus.optionalNumber(args.port, 'args.port');
+    mod_assertplus.optionalObject(args.log, 'args.log');
+
+    this.fs_port = args.port || 0;
+    this.fs_log = args.log || helper.createLogger('fakeserver');
+    this.fs_responses = {};     /* scripted responses, by RPC method name */
+    this.fs_calls = [];         /* RPCs received, in order */
+    this.fs_timers = [];        /* timers for delayed responses */
+    this.fs_sockets = [];       /* open client connections */
+    this.fs_server = mod_net.createServer({ 'allowHalfOpen': true });
+    this.fs_fast = new (loadFast().FastServer)({
+        'log': this.fs_log,
+        'server': this.fs_server
+    });
+
+    this.fs_server.on('connection', this.onConnection.bind(this));
+}
+
+/*
+ * Load the Fast implementation used by the Moray client under test, so that
+ * the fake server speaks exactly the same version of the protocol.  npm may
+ * have installed it underneath the client or alongside it (which is on
+ * NODE_PATH).
+ */
+function loadFast()
+{
+    var clientdir = mod_path.dirname(require.resolve('moray/package.json'));
+
+    try {
+        return (require(mod_path.join(clientdir, 'node_modules', 'fast')));
+    } catch (ex) {
+        if (ex.code != 'MODULE_NOT_FOUND') {
+            throw (ex);
+        }
+
+        return (require('fast'));
+    }
+}
+
+/*
+ * Returns null if the Fast implementation used by the client under test
+ * provides a server (which FakeServer is built on), or a string explaining why
+ * it doesn't.  Fast only provides one as of v2.  Tests check this with the
+ * "fastServer" capability (see lib/capabilities.js).
+ */
+function checkFastServer()
+{
+    var fast;
+
+    try {
+        fast = loadFast();
+    } catch (ex) {
+        return ('failed to load client\'s "fast" package: ' + ex.message);
+    }
+
+    return (typeof (fast.FastServer) == 'function' ? null :
+        'client\'s "fast" package does not provide FastServer');
+}
+
+/*
+ * Start listening for connections and invoke callback(err) once ready.
+ */
+FakeServer.prototype.listen = function (callback)
+{
+    var self = this;
+
+    mod_assertplus.func(callback, 'callback');
+
+    function onError(err) {
+        self.fs_server.removeListener('listening', onListening);
+        callback(err);
+    }
+
+    function onListening() {
+        self.fs_server.removeListener('error', onError);
+        callback(null);
+    }
+
+    this.fs_server.once('error', onError);
+    this.fs_server.once('listening', onListening);
+    this.fs_server.listen(this.fs_port, '127.0.0.1');
+};
+
+FakeServer.prototype.onConnection = function (sock)
+{
+    var self = this;
+
+    this.fs_sockets.push(sock);
+    sock.on('close', function () {
+        self.fs_sockets.splice(self.fs_sockets.indexOf(sock), 1);
+    });
+};
+
+/*
+ * Returns the port on which the server is listening.
+ */
+FakeServer.prototype.port = function ()
+{
+    return (this.fs_server.address().port);
+};
+
+/*
+ * Script the response to RPC method "method".  "response" is either a handler
+ * function or a response object (see above).  This replaces any response
+ * previously scripted for the same method.
+ */
+FakeServer.prototype.respond = function (method, response)
+{
+    var self = this;
+
+    mod_assertplus.string(method, 'method');
+    if (typeof (response) != 'function') {
+        mod_assertplus.object(response, 'response');
+        mod_assertplus.optionalArray(response.records, 'response.records');
+        mod_assertplus.optionalObject(response.error, 'response.error');
+        mod_assertplus.optionalNumber(response.delay, 'response.delay');
+        mod_assertplus.optionalBool(response.silent, 'response.silent');
+    }
+
+    /*
+     * Fast does not allow RPC methods to be registered more than once, so we
+     * register a method the first time it's scripted and look up the current
+     * response each time it's invoked.
+     */
+    if (!this.fs_responses.hasOwnProperty(method)) {
+        this.fs_fast.registerRpcMethod({
+            'rpcmethod': method,
+            'rpchandler': function (rpc) {
+                self.handleRpc(method, rpc);
+            }
+        });
+    }
+
+    this.fs_responses[method] = response;
+};
+
+/*
+ * Returns the RPCs received so far for scripted methods, optionally only those
+ * for RPC method "method".  Each is an object with "method" and "argv"
+ * properties.
+ */
+FakeServer.prototype.calls = function (method)
+{
+    mod_assertplus.optionalString(method, 'method');
+    return (this.fs_calls.filter(function (call) {
+        return (method === undefined || call.method == method);
+    }));
+};
+
+FakeServer.prototype.handleRpc = function (method, rpc)
+{
+    var argv, response;
+
+    argv = rpc.argv();
+    this.fs_calls.push({ 'method': method, 'argv': argv });
+    response = this.fs_responses[method];
+    if (typeof (response) == 'function') {
+        response(argv, rpc);
+        return;
+    }
+
+    this.reply(rpc, response);
+};
+
+/*
+ * Send the response described by "response" (a response object, as described
+ * above) for RPC "rpc".  Handler functions may use this to send responses that
+ * they construct.
+ */
+FakeServer.prototype.reply = function (rpc, response)
+{
+    var self = this;
+    var timer;
+
+    if (response.silent) {
+        return;
+    }
+
+    if (response.delay === undefined) {
+        sendResponse(rpc, response);
+        return;
+    }
+
+    timer = setTimeout(function () {
+        self.fs_timers.splice(self.fs_timers.indexOf(timer), 1);
+        sendResponse(rpc, response);
+    }, response.delay);
+    this.fs_timers.push(timer);
+};
+
+function sendResponse(rpc, response)
+{
+    var err;
+
+    if (response.records !== undefined) {
+        response.records.forEach(function (record) {
+            rpc.write(mod_jsprim.deepCopy(record));
+        });
+    }
+
+    if (response.error === undefined) {
+        rpc.end();
+        return;
+    }
+
+    err = new Error(response.error.message || response.error.name);
+    err.name = response.error.name;
+    if (response.error.context !== undefined) {
+        err.context = response.error.context;
+    }
+    rpc.fail(err);
+}
+
+/*
+ * Stop accepting connections, close existing connections (abandoning any RPCs
+ * that haven't been answered), and invoke callback() once the server has shut
+ * down.
+ */
+FakeServer.prototype.close = function (callback)
+{
+    mod_assertplus.func(callback, 'callback');
+
+    this.fs_timers.forEach(function (timer) { clearTimeout(timer); });
+    this.fs_timers = [];
+    this.fs_server.close(function () { callback(); });
+    this.fs_fast.close();
+    this.fs_sockets.slice(0).forEach(function (sock) { sock.destroy(); });
+};
@@ -0,0 +1,455 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2016, Joyent, Inc.
+ */
+
+/*
+ * faultproxy.js: TCP proxy that injects network faults between a client and a
+ * server
+ */
+
+var mod_assertplus = require('assert-plus');
+var mod_events = require('events');
+var mod_net = require('net');
+var mod_util = require('util');
+
+/* exported interface */
+exports.FaultProxy = FaultProxy;
+
+/*
+ * Directions in which data flows through the proxy.
+ */
+var DIR_TO_SERVER = 'toServer';
+var DIR_TO_CLIENT = 'toClient';
+
+/*
+ * A FaultProxy listens on a local TCP port and forwards each connection it
+ * receives to the server at "targetHost" and "targetPort".  Tests point a
+ * client at the proxy (e.g., using the "port" option to helper.createClient())
+ * and then inject faults with setFaults() or scheduleFaults().  Named
+ * arguments:
+ *
+ *     targetHost   host of the server to which to forward connections
+ *     [string]     (default: "127.0.0.1")
+ *
+ *     targetPort   port of the server to which to forward connections
+ *     [number]
+ *
+ *     port         local port on which to listen (default: any available port)
+ *     [number]
+ *
+ *     seed         seed for the pseudo-random number generator used to
+ *     [number]     corrupt bytes, so that corruption is repeatable
+ *                  (default: 1)
+ *
+ * The set of faults in effect is described by an object with properties:
+ *
+ *     latency      delay each chunk of data by this many milliseconds
+ *     [number]
+ *
+ *     bandwidth    limit the rate of data to this many bytes per second in
+ *     [number]     each direction of each connection
+ *
+ *     refuse       close new connections as soon as they're accepted
+ *     [bool]
+ *
+ *     drop         close all existing connections when these faults take
+ *     [bool]       effect
+ *
+ *     halfOpen     stop forwarding data without closing connections, as
+ *     [bool]       though the other end had disappeared without a FIN or RST
+ *
+ *     truncate     forward only this many more bytes on each connection, then
+ *     [number]     close it, usually leaving a partial frame behind
+ *
+ *     corrupt      probability (between 0 and 1) with which each byte is
+ *     [number]     replaced with a random byte
+ *
+ *     direction    which direction the latency, bandwidth, halfOpen,
+ *     [string]     truncate, and corrupt faults apply to: "toServer",
+ *                  "toClient", or "both" (the default)
+ *
+ * Consumers can listen for:
+ *
+ *     'connection'     emitted when a connection is established to the
+ *                      server on behalf of a client
+ *
+ *     'faults'         emitted with the new set of faults when they change
+ *
+ *     'data'           emitted as ('data', connid, dir, chunk) for each chunk
+ *                      of data received, before any faults are applied, where
+ *                      "connid" identifies the connection and "dir" is
+ *                      "toServer" or "toClient"
+ *
+ * Call listen() to start accepting connections and close() to stop the proxy
+ * and close all connections.
+ */
+function FaultProxy(args)
+{
+    mod_assertplus.object(args, 'args');
+    mod_assertplus.optionalString(args.targetHost, 'args.targetHost');
+    mod_assertplus.number(args.targetPort, 'args.targetPort');
+    mod_assertplus.optionalNumber(args.port, 'args.port');
+    mod_assertplus.optionalNumber(args.seed, 'args.seed');
+
+    mod_events.EventEmitter.call(this);
+
+    this.fp_target_host = args.targetHost || '127.0.0.1';
+    this.fp_target_port = args.targetPort;
+    this.fp_port = args.port || 0;
+    this.fp_random = args.seed || 1;    /* pseudo-random number state */
+    this.fp_faults = {};                /* current faults */
+    this.fp_generation = 0;             /* incremented when faults change */
+    this.fp_conns = [];                 /* active connections */
+    this.fp_nconns = 0;                 /* count of connections accepted */
+    this.fp_timers = [];                /* timers from scheduleFaults() */
+    this.fp_server = mod_net.createServer(this.onConnection.bind(this));
+}
+
+mod_util.inherits(FaultProxy, mod_events.EventEmitter);
+
+/*
+ * Start listening for connections and invoke callback(err) once ready.
+ */
+FaultProxy.prototype.listen = function (callback)
+{
+    var self = this;
+
+    mod_assertplus.func(callback, 'callback');
+
+    function onError(err) {
+        self.fp_server.removeListener('listening', onListening);
+        callback(err);
+    }
+
+    function onListening() {
+        self.fp_server.removeListener('error', onError);
+        callback(null);
+    }
+
+    this.fp_server.once('error', onError);
+    this.fp_server.once('listening', onListening);
+    this.fp_server.listen(this.fp_port, '127.0.0.1');
+};
+
+/*
+ * Returns the port on which the proxy is listening.
+ */
+FaultProxy.prototype.port = function ()
+{
+    return (this.fp_server.address().port);
+};
+
+/*
+ * Replace the current set of faults with "faults" (see above).  An empty
+ * object removes all faults.
+ */
+FaultProxy.prototype.setFaults = function (faults)
+{
+    mod_assertplus.object(faults, 'faults');
+    mod_assertplus.optionalNumber(faults.latency, 'faults.latency');
+    mod_assertplus.optionalNumber(faults.bandwidth, 'faults.bandwidth');
+    mod_assertplus.optionalBool(faults.refuse, 'faults.refuse');
+    mod_assertplus.optionalBool(faults.drop, 'faults.drop');
+    mod_assertplus.optionalBool(faults.halfOpen, 'faults.halfOpen');
+    mod_assertplus.optionalNumber(faults.truncate, 'faults.truncate');
+    mod_assertplus.optionalNumber(faults.corrupt, 'faults.corrupt');
+    mod_assertplus.optionalString(faults.direction, 'faults.direction');
+    mod_assertplus.ok(faults.direction === undefined ||
+        faults.direction == 'both' || faults.direction == DIR_TO_SERVER ||
+        faults.direction == DIR_TO_CLIENT,
+        'unsupported direction: "' + faults.direction + '"');
+
+    this.fp_faults = faults;
+    this.fp_generation++;
+    if (faults.drop) {
+        this.dropConnections();
+    }
+
+    this.emit('faults', faults);
+};
+
+/*
+ * Apply a sequence of fault sets over time.  "steps" is an array of objects
+ * with properties "after" (milliseconds after this call) and "faults" (passed
+ * to setFaults()).  Any steps scheduled by a previous call that have not yet
+ * taken effect are cancelled.
+ */
+FaultProxy.prototype.scheduleFaults = function (steps)
+{
+    var self = this;
+
+    mod_assertplus.arrayOfObject(steps, 'steps');
+
+    this.cancelSchedule();
+    steps.forEach(function (step, i) {
+        mod_assertplus.number(step.after, 'steps[' + i + '].after');
+        mod_assertplus.object(step.faults, 'steps[' + i + '].faults');
+        self.fp_timers.push(setTimeout(function () {
+            self.setFaults(step.faults);
+        }, step.after));
+    });
+};
+
+FaultProxy.prototype.cancelSchedule = function ()
+{
+    this.fp_timers.forEach(function (timer) { clearTimeout(timer); });
+    this.fp_timers = [];
+};
+
+/*
+ * Close all existing connections.
+ */
+FaultProxy.prototype.dropConnections = function ()
+{
+    this.fp_conns.slice(0).forEach(function (conn) {
+        conn.destroy();
+    });
+};
+
+/*
+ * Stop accepting connections, close all existing connections, and invoke
+ * callback() once the proxy has shut down.
+ */
+FaultProxy.prototype.close = function (callback)
+{
+    mod_assertplus.func(callback, 'callback');
+
+    this.cancelSchedule();
+    this.fp_server.close(function () { callback(); });
+    this.dropConnections();
+};
+
+FaultProxy.prototype.onConnection = function (clientsock)
+{
+    var self = this;
+    var serversock, conn;
+
+    if (this.fp_faults.refuse) {
+        clientsock.destroy();
+        return;
+    }
+
+    serversock = mod_net.connect({
+        'host': this.fp_target_host,
+        'port': this.fp_target_port
+    });
+
+    conn = new ProxyConnection(this, ++this.fp_nconns, clientsock,
+        serversock);
+    this.fp_conns.push(conn);
+    conn.on('close', function () {
+        self.fp_conns.splice(self.fp_conns.indexOf(conn), 1);
+    });
+
+    serversock.on('connect', function () {
+        self.emit('connection');
+    });
+};
+
+/*
+ * Returns the faults that apply to data flowing in direction "dir".
+ */
+FaultProxy.prototype.faultsFor = function (dir)
+{
+    var faults = this.fp_faults;
+
+    if (faults.direction !== undefined && faults.direction != 'both' &&
+        faults.direction != dir) {
+        return ({});
+    }
+
+    return (faults);
+};
+
+/*
+ * Returns a pseudo-random number between 0 and 1.  This is a simple linear
+ * congruential generator, which is good enough for corrupting bytes and, unlike
+ * Math.random(), can be seeded.
+ */
+FaultProxy.prototype.random = function ()
+{
+    this.fp_random = (this.fp_random * 1103515245 + 12345) % 2147483648;
+    return (this.fp_random / 2147483648);
+};
+
+/*
+ * A ProxyConnection represents a client connection and the corresponding
+ * connection to the server.  It emits 'close' once both have been closed.
+ */
+function ProxyConnection(proxy, id, clientsock, serversock)
+{
+    var self = this;
+
+    mod_events.EventEmitter.call(this);
+
+    this.pc_proxy = proxy;
+    this.pc_id = id;
+    this.pc_client = clientsock;
+    this.pc_server = serversock;
+    this.pc_closed = false;
+    this.pc_pipes = [
+        new ProxyPipe(this, DIR_TO_SERVER, clientsock, serversock),
+        new ProxyPipe(this, DIR_TO_CLIENT, serversock, clientsock)
+    ];
+
+    [ clientsock, serversock ].forEach(function (sock) {
+        sock.on('error', function () { self.destroy(); });
+        sock.on('close', function () { self.destroy(); });
+    });
+}
+
+mod_util.inherits(ProxyConnection, mod_events.EventEmitter);
+
+ProxyConnection.prototype.destroy = function ()
+{
+    if (this.pc_closed) {
+        return;
+    }
+
+    this.pc_closed = true;
+    this.pc_pipes.forEach(function (pipe) { pipe.stop(); });
+    this.pc_client.destroy();
+    this.pc_server.destroy();
+    this.emit('close');
+};
+
+/*
+ * A ProxyPipe forwards data in one direction of a connection, applying the
+ * proxy's current faults.  Chunks are queued so that latency and bandwidth
+ * limits preserve the order of the data.
+ */
+function ProxyPipe(conn, dir, src, dst)
+{
+    this.pp_conn = conn;
+    this.pp_proxy = conn.pc_proxy;
+    this.pp_dir = dir;
+    this.pp_src = src;
+    this.pp_dst = dst;
+    this.pp_queue = [];         /* chunks waiting to be written */
+    this.pp_timer = null;       /* timer for the next queued chunk */
+    this.pp_next = 0;           /* earliest time to write the next chunk */
+    this.pp_ended = false;      /* source has ended */
+    this.pp_generation = -1;    /* generation of faults for pp_remaining */
+    this.pp_remaining = null;   /* bytes left before truncating */
+
+    src.on('data', this.onData.bind(this));
+    src.on('end', this.onEnd.bind(this));
+}
+
+ProxyPipe.prototype.onData = function (chunk)
+{
+    var faults, now, when, i;
+
+    this.pp_proxy.emit('data', this.pp_conn.pc_id, this.pp_dir, chunk);
+    faults = this.pp_proxy.faultsFor(this.pp_dir);
+    if (faults.halfOpen) {
+        return;
+    }
+
+    if (faults.truncate !== undefined) {
+        if (this.pp_generation != this.pp_proxy.fp_generation) {
+            this.pp_generation = this.pp_proxy.fp_generation;
+            this.pp_remaining = faults.truncate;
+        }
+
+        if (chunk.length >= this.pp_remaining) {
+            chunk = chunk.slice(0, this.pp_remaining);
+            this.pp_remaining = 0;
+            this.pp_src.pause();
+            this.enqueue(chunk, this.pp_next, true);
+            return;
+        }
+
+        this.pp_remaining -= chunk.length;
+    }
+
+    if (faults.corrupt !== undefined && faults.corrupt > 0) {
+        chunk = Buffer.concat([ chunk ]);
+        for (i = 0; i < chunk.length; i++) {
+            if (this.pp_proxy.random() < faults.corrupt) {
+                chunk[i] = Math.floor(this.pp_proxy.random() * 256);
+            }
+        }
+    }
+
+    now = Date.now();
+    when = Math.max(now + (faults.latency || 0), this.pp_next);
+    if (faults.bandwidth !== undefined) {
+        this.pp_next = Math.max(now, this.pp_next) +
+            Math.ceil(1000 * chunk.length / faults.bandwidth);
+        when = Math.max(when, this.pp_next);
+    } else {
+        this.pp_next = when;
+    }
+
+    this.enqueue(chunk, when, false);
+};
+
+ProxyPipe.prototype.onEnd = function ()
+{
+    this.pp_ended = true;
+    this.flush();
+};
+
+/*
+ * Queue "chunk" to be written at time "when".  If "last" is true, close the
+ * connection after writing it.
+ */
+ProxyPipe.prototype.enqueue = function (chunk, when, last)
+{
+    this.pp_queue.push({ 'chunk': chunk, 'when': when, 'last': last });
+    this.flush();
+};
+
+ProxyPipe.prototype.flush = function ()
+{
+    var self = this;
+    var entry, now;
+
+    if (this.pp_timer !== null) {
+        return;
+    }
+
+    now = Date.now();
+    while (this.pp_queue.length > 0) {
+        entry = this.pp_queue[0];
+        if (entry.when > now) {
+            this.pp_timer = setTimeout(function () {
+                self.pp_timer = null;
+                self.flush();
+            }, entry.when - now);
+            return;
+        }
+
+        this.pp_queue.shift();
+        if (entry.last) {
+            this.pp_dst.write(entry.chunk, function () {
+                self.pp_conn.destroy();
+            });
+            this.pp_queue = [];
+            return;
+        }
+
+        this.pp_dst.write(entry.chunk);
+    }
+
+    if (this.pp_ended && !this.pp_conn.pc_closed) {
+        this.pp_dst.end();
+    }
+};
+
+ProxyPipe.prototype.stop = function ()
+{
+    if (this.pp_timer !== null) {
+        clearTimeout(this.pp_timer);
+        this.pp_timer = null;
+    }
+
+    this.pp_queue = [];
+};
@@ -0,0 +1,619 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2016, Joyent, Inc.
+ */
+
+/*
+ * harness.js: common setup and teardown for test cases that need a Moray
+ * server, a client, and a test bucket.
+ *
+ * Test programs use createTestFunction() to get a "test" function that's used
+ * like tape's test(), except that each test case is run as three tape tests:
+ *
+ *     NAME - setup       starts a server, creates a client, and creates or
+ *                        names a test bucket, according to the options
+ *
+ *     NAME - main        runs the test case itself
+ *
+ *     NAME - teardown    removes the bucket, closes the client, and stops the
+ *                        server
+ *
+ * Each phase is subject to a timeout, and teardown always cleans up whatever
+ * setup managed to create, even if setup or the test case itself failed.
+ *
+ * Starting a server for each test case is expensive.  In "shared server" mode,
+ * all test cases in the program use a single server that's started when it's
+ * first needed and stopped after the last test case.  Test cases are isolated
+ * from each other only by their unique bucket names.  This mode is enabled with
+ * the "sharedServer" option or, for all test programs in a run, by setting
+ * MORAY_TEST_SHARED_SERVER=true in the environment.  Test cases that need a
+ * server of their own can still request one with the "freshServer" option.
+ */
+
+var mod_assertplus = require('assert-plus');
+var mod_capabilities = require('./capabilities');
+var mod_domain = require('domain');
+var mod_jsprim = require('jsprim');
+var mod_libuuid = require('libuuid');
+var mod_tape = require('tape');
+var mod_vasync = require('vasync');
+
+var helper = require('../test/helper');
+
+/* exported interface */
+exports.createTestFunction = createTestFunction;
+exports.bucketName = bucketName;
+
+/*
+ * Default timeouts (in milliseconds).  Test cases may override the timeout for
+ * the "main" phase.
+ */
+var DFL_TIMEOUT = 60000;
+var SETUP_TIMEOUT = 30000;
+var TEARDOWN_TIMEOUT = 30000;
+
+/*
+ * State for the shared server, if any test case uses one.
+ */
+var sharedServer = {
+    'ss_server': null,      /* server handle, once started */
+    'ss_error': null,       /* error from starting the server, if any */
+    'ss_waiters': null,     /* callbacks waiting for the server to start */
+    'ss_defined': false     /* whether the shared teardown has been defined */
+};
+
+/*
+ * Returns a function test(name, [testopts], func) that defines a test case
+ * named "name" that will invoke func(t, fixtures), where "t" is the tape test
+ * object and "fixtures" is an object with properties:
+ *
+ *     server       the server handle returned by helper.createServer(), or
+ *                  null if options.server is false
+ *
+ *     client       a connected Moray client, or null if options.client is
+ *                  false
+ *
+ *     bucket       a unique bucket name, or null if options.bucket is false
+ *
+ *     name         the name of the test case
+ *
+ * "options" (and "testopts", which overrides it for a single test case) may
+ * contain:
+ *
+ *     server       boolean indicating whether the test case needs a server
+ *     [bool]       (default: true)
+ *
+ *     sharedServer if true, use one server for all test cases in the program
+ *     [bool]       instead of starting one for each test case.  This defaults
+ *                  to true if MORAY_TEST_SHARED_SERVER is "true" in the
+ *                  environment.
+ *
+ *     freshServer  if true, always start a server for this test case, even in
+ *     [bool]       shared server mode.  This is intended for test cases that
+ *                  depend on server state (like caches) being pristine.  The
+ *                  server listens on a port of its own, and the test case's
+ *                  client talks to it.
+ *
+ *     client       If true, a client will be created for each test case
+ *     [bool or     (default: true).  If this is an object, it will be passed
+ *     object]      as the options to helper.createClient().
+ *
+ *     bucket       If true, a unique bucket name is generated for each test
+ *     [bool or     case, and the teardown phase removes that bucket if it
+ *     object]      exists.  If this is an object, it is used as the bucket
+ *                  configuration to create the bucket during setup, and
+ *                  teardown requires the bucket to be removed successfully.
+ *                  (default: false)
+ *
+ *     timeout      maximum time (in milliseconds) for the "main" phase of the
+ *     [number]     test case
+ *
+ *     setup        function (fixtures, callback) to invoke at the end of the
+ *     [func]       setup phase.  Test programs that keep the client and
+ *                  bucket in module-level variables use this to set them.
+ *
+ *     teardown     function (fixtures, callback) to invoke at the start of
+ *     [func]       the teardown phase.
+ *
+ *     skip         function (fixtures) that returns a string describing why
+ *     [func]       the test case should be skipped, or null to run it.
+ *
+ *     requires     names of capabilities (see lib/capabilities.js) that the
+ *     [array]      client and server must support.  If any is missing, the
+ *                  test case is skipped, and the reason is reported.  Server
+ *                  capabilities are checked using the test case's client.
+ */
+function createTestFunction(options)
+{
+    options = validateOptions(options || {}, 'options');
+
+    return (function test(name, testopts, func) {
+        var opts;
+
+        if (typeof (testopts) == 'function') {
+            func = testopts;
+            testopts = {};
+        }
+
+        mod_assertplus.string(name, 'name');
+        mod_assertplus.func(func, 'func');
+        opts = validateOptions(testopts, 'testopts');
+        Object.keys(options).forEach(function (k) {
+            if (!opts.hasOwnProperty(k)) {
+                opts[k] = options[k];
+            }
+        });
+
+        defineTestCase(name, opts, func);
+    });
+}
+
+function validateOptions(options, label)
+{
+    var rv = {};
+
+    mod_assertplus.object(options, label);
+    mod_assertplus.optionalBool(options.server, label + '.server');
+    mod_assertplus.optionalBool(options.sharedServer, label + '.sharedServer');
+    mod_assertplus.optionalBool(options.freshServer, label + '.freshServer');
+    mod_assertplus.optionalNumber(options.timeout, label + '.timeout');
+    mod_assertplus.optionalFunc(options.setup, label + '.setup');
+    mod_assertplus.optionalFunc(options.teardown, label + '.teardown');
+    mod_assertplus.optionalFunc(options.skip, label + '.skip');
+    mod_assertplus.optionalArrayOfString(options.requires,
+        label + '.requires');
+    if (options.requires) {
+        options.requires.forEach(function (name) {
+            mod_assertplus.ok(
+                mod_capabilities.capabilityNames().indexOf(name) != -1,
+                label + '.requires: unknown capability "' + name + '"');
+        });
+    }
+    if (options.hasOwnProperty('client') &&
+        typeof (options.client) != 'boolean') {
+        mod_assertplus.object(options.client, label + '.client');
+    }
+    if (options.hasOwnProperty('bucket') &&
+        typeof (options.bucket) != 'boolean') {
+        mod_assertplus.object(options.bucket, label + '.bucket');
+    }
+
+    Object.keys(options).forEach(function (k) {
+        rv[k] = options[k];
+    });
+
+    return (rv);
+}
+
+/*
+ * Returns a unique bucket name for a test case.
+ */
+function bucketName()
+{
+    return ('moray_unit_test_' + mod_libuuid.create().substr(0, 7));
+}
+
+function defineTestCase(name, opts, func)
+{
+    var tc;
+
+    tc = {
+        'tc_name': name,
+        'tc_server': opts.server !== false,
+        'tc_fresh': opts.server !== false && opts.freshServer === true,
+        'tc_shared': opts.server !== false && opts.freshServer !== true &&
+            (opts.sharedServer !== undefined ? opts.sharedServer :
+            process.env['MORAY_TEST_SHARED_SERVER'] == 'true'),
+        'tc_client': opts.client === undefined ? true : opts.client,
+        'tc_bucket': opts.bucket || false,
+        'tc_timeout': opts.timeout || DFL_TIMEOUT,
+        'tc_setup_hook': opts.setup || null,
+        'tc_teardown_hook': opts.teardown || null,
+        'tc_skip_hook': opts.skip || null,
+        'tc_requires': opts.requires || [],
+
+        /* whether setup completed successfully */
+        'tc_setup_ok': false,
+        /* whether teardown has started (so late fixtures must be cleaned up) */
+        'tc_torndown': false,
+        'tc_fixtures': {
+            'server': null,
+            'client': null,
+            'bucket': null,
+            'name': name
+        }
+    };
+
+    if (tc.tc_shared && !sharedServer.ss_defined) {
+        defineSharedServerTeardown();
+    }
+
+    mod_tape.test(name + ' - setup', function (t) {
+        runPhase(t, SETUP_TIMEOUT, function (done) {
+            testSetup(tc, t, done);
+        });
+    });
+
+    mod_tape.test(name + ' - main', function (t) {
+        var reason;
+
+        if (!tc.tc_setup_ok) {
+            t.skip('skipped because setup failed');
+            t.end();
+            return;
+        }
+
+        if (tc.tc_skip_hook !== null) {
+            reason = tc.tc_skip_hook(tc.tc_fixtures);
+            if (reason !== null && reason !== undefined) {
+                t.skip('skipped (' + reason + ')');
+                t.end();
+                return;
+            }
+        }
+
+        /*
+         * Test cases end by calling t.end(), which runPhase() wraps.
+         */
+        runPhase(t, tc.tc_timeout, function () {
+            if (tc.tc_requires.length === 0) {
+                func(t, tc.tc_fixtures);
+                return;
+            }
+
+            mod_capabilities.check(tc.tc_requires, tc.tc_fixtures.client,
+                function (missing) {
+                if (missing !== null) {
+                    t.skip('skipped (' + missing + ')');
+                    t.end();
+                    return;
+                }
+
+                func(t, tc.tc_fixtures);
+            });
+        });
+    });
+
+    mod_tape.test(name + ' - teardown', function (t) {
+        runPhase(t, TEARDOWN_TIMEOUT, function (done) {
+            testTeardown(tc, t, done);
+        });
+    });
+}
+
+/*
+ * Stops the shared server after all test cases have run.  Test programs define
+ * all of their test cases synchronously when they're loaded, so by deferring
+ * the definition of this tape test, we ensure that it runs last.
+ */
+function defineSharedServerTeardown()
+{
+    sharedServer.ss_defined = true;
+    setImmediate(function () {
+        mod_tape.test('shared server - teardown', function (t) {
+            runPhase(t, TEARDOWN_TIMEOUT, function (done) {
+                if (sharedServer.ss_server === null) {
+                    t.pass('no server started');
+                    done();
+                    return;
+                }
+
+                helper.cleanupServer(sharedServer.ss_server, function () {
+                    sharedServer.ss_server = null;
+                    t.pass('closed');
+                    done();
+                });
+            });
+        });
+    });
+}
+
+/*
+ * Invoke callback(err, server) with the shared server, starting it if
+ * necessary.  If the server fails to start, all test cases that use it will
+ * fail with the same error.
+ */
+function getSharedServer(callback)
+{
+    if (sharedServer.ss_server !== null || sharedServer.ss_error !== null) {
+        setImmediate(callback, sharedServer.ss_error, sharedServer.ss_server);
+        return;
+    }
+
+    if (sharedServer.ss_waiters !== null) {
+        sharedServer.ss_waiters.push(callback);
+        return;
+    }
+
+    sharedServer.ss_waiters = [ callback ];
+    helper.createServer({ 'logName': 'shared' }, function (err, s) {
+        var waiters = sharedServer.ss_waiters;
+        if (err) {
+            sharedServer.ss_error = err;
+        } else {
+            sharedServer.ss_server = s;
+        }
+        sharedServer.ss_waiters = null;
+        waiters.forEach(function (w) { w(err, s); });
+    });
+}
+
+/*
+ * Report the path to the server's log file in the TAP output so that the test
+ * runner can show it (and the end of the log) if the test case fails.
+ */
+function commentServerLog(t, server)
+{
+    if (server.ts_log) {
+        t.comment('server log: ' + server.ts_log);
+    }
+}
+
+/*
+ * Run one phase of a test case.  "body" is invoked with a "done" callback, but
+ * the phase also completes when the body calls t.end().  The phase fails (and
+ * completes) if it takes longer than "timeout" milliseconds or if it throws an
+ * exception, either synchronously or from an asynchronous context that it
+ * created.  In all cases, t.end() is called exactly once.
+ */
+function runPhase(t, timeout, body)
+{
+    var domain, timer, tend, finished;
+
+    finished = false;
+    tend = t.end;
+    t.end = finish;
+
+    timer = setTimeout(function () {
+        timer = null;
+        t.fail('timed out after ' + timeout + 'ms');
+        finish();
+    }, timeout);
+
+    /*
+     * Once the phase has finished, there's no test to report an exception to,
+     * so we treat it as fatal, just as we would without the domain.
+     */
+    domain = mod_domain.create();
+    domain.on('error', function (err) {
+        if (finished) {
+            throw (err);
+        }
+
+        t.ifError(err, 'uncaught exception');
+        finish();
+    });
+
+    domain.run(function () {
+        try {
+            body(function (err) {
+                if (err) {
+                    t.ifError(err);
+                }
+                finish();
+            });
+        } catch (ex) {
+            t.ifError(ex, 'uncaught exception');
+            finish();
+        }
+    });
+
+    function finish() {
+        if (finished) {
+            return;
+        }
+
+        finished = true;
+        if (timer !== null) {
+            clearTimeout(timer);
+            timer = null;
+        }
+
+        t.end = tend;
+        tend.apply(t, arguments);
+    }
+}
+
+/*
+ * Set up the fixtures for a test case.
+ */
+function testSetup(tc, t, callback)
+{
+    var fixtures = tc.tc_fixtures;
+
+    mod_vasync.pipeline({
+        'funcs': [
+            function setupServer(_, subcallback) {
+                var createopts;
+
+                if (!tc.tc_server) {
+                    subcallback();
+                    return;
+                }
+
+                if (tc.tc_shared) {
+                    getSharedServer(function (err, s) {
+                        if (!err) {
+                            fixtures.server = s;
+                            commentServerLog(t, s);
+                        }
+                        subcallback(err);
+                    });
+                    return;
+                }
+
+                /*
+                 * A shared server may already be running on the default port,
+                 * so fresh servers use a port of their own (the last one in
+                 * this program's range, so as not to collide with additional
+                 * servers that test cases start themselves).
+                 */
+                createopts = { 'logName': tc.tc_name };
+                if (tc.tc_fresh && helper.localServersSupported()) {
+                    createopts.portOverride =
+                        helper.serverPort(helper.PORT_RANGE - 1);
+                }
+
+                helper.createServer(createopts, function (err, s) {
+                    if (err) {
+                        subcallback(err);
+                        return;
+                    }
+
+                    fixtures.server = s;
+                    commentServerLog(t, s);
+                    if (tc.tc_torndown) {
+                        /* We timed out and teardown has already run. */
+                        helper.cleanupServer(s, function () {});
+                        return;
+                    }
+                    subcallback();
+                });
+            },
+
+            function setupClient(_, subcallback) {
+                var clientopts;
+
+                if (!tc.tc_client) {
+                    subcallback();
+                    return;
+                }
+
+                if (tc.tc_torndown) {
+                    /*
+                     * We timed out and teardown has already run, so nothing
+                     * would close this client.
+                     */
+                    return;
+                }
+
+                clientopts = typeof (tc.tc_client) == 'object' ?
+                    tc.tc_client : null;
+                if (tc.tc_fresh && fixtures.server) {
+                    /* Make sure the client talks to the fresh server. */
+                    clientopts = mod_jsprim.mergeObjects(clientopts,
+                        { 'server': fixtures.server });
+                }
+
+                helper.createClient(clientopts, function (err, client) {
+                    if (tc.tc_torndown) {
+                        /* We timed out and teardown has already run. */
+                        if (!err) {
+                            client.close();
+                        }
+                        return;
+                    }
+
+                    fixtures.client = client;
+                    subcallback(err);
+                });
+            },
+
+            function setupBucket(_, subcallback) {
+                if (!tc.tc_bucket) {
+                    subcallback();
+                    return;
+                }
+
+                fixtures.bucket = bucketName();
+                if (typeof (tc.tc_bucket) != 'object') {
+                    subcallback();
+                    return;
+                }
+
+                mod_assertplus.object(fixtures.client,
+                    'client (required to create bucket)');
+                fixtures.client.createBucket(fixtures.bucket, tc.tc_bucket,
+                    subcallback);
+            },
+
+            function setupHook(_, subcallback) {
+                if (tc.tc_setup_hook === null) {
+                    subcallback();
+                    return;
+                }
+
+                tc.tc_setup_hook(fixtures, subcallback);
+            }
+        ]
+    }, function (err) {
+        if (!err) {
+            tc.tc_setup_ok = true;
+        }
+
+        callback(err);
+    });
+}
+
+/*
+ * Tear down whatever fixtures were set up for this test case.
+ */
+function testTeardown(tc, t, callback)
+{
+    var fixtures = tc.tc_fixtures;
+
+    tc.tc_torndown = true;
+    mod_vasync.pipeline({
+        'funcs': [
+            function teardownHook(_, subcallback) {
+                if (tc.tc_teardown_hook === null || !tc.tc_setup_ok) {
+                    subcallback();
+                    return;
+                }
+
+                tc.tc_teardown_hook(fixtures, subcallback);
+            },
+
+            function teardownBucket(_, subcallback) {
+                if (fixtures.bucket === null || fixtures.client === null) {
+                    subcallback();
+                    return;
+                }
+
+                fixtures.client.delBucket(fixtures.bucket, function (err) {
+                    /*
+                     * If we created the bucket, it must still exist.
+                     * Otherwise, the test case may or may not have created it.
+                     */
+                    if (typeof (tc.tc_bucket) == 'object' && tc.tc_setup_ok) {
+                        t.ifError(err, 'delete bucket');
+                    }
+
+                    subcallback();
+                });
+            },
+
+            function teardownClient(_, subcallback) {
+                if (fixtures.client === null) {
+                    subcallback();
+                    return;
+                }
+
+                fixtures.client.once('close', function () { subcallback(); });
+                fixtures.client.close();
+            },
+
+            function teardownServer(_, subcallback) {
+                if (fixtures.server === null || tc.tc_shared) {
+                    subcallback();
+                    return;
+                }
+
+                helper.cleanupServer(fixtures.server, function () {
+                    subcallback();
+                });
+            }
+        ]
+    }, function (err) {
+        if (!err) {
+            t.pass('closed');
+        }
+
+        callback(err);
+    });
+}
@@ -0,0 +1,387 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2016, Joyent, Inc.
+ */
+
+/*
+ * manatee.js: local stand-in for a Manatee shard, for failover testing
+ *
+ * In production, a Moray server finds its database through Manatee: the
+ * server's Manatee client watches the shard's topology in ZooKeeper and the
+ * server connects to whichever peer is the primary.  This module provides a
+ * local stand-in for that topology.  It runs a minimal ZooKeeper server (see
+ * lib/zookeeper.js) holding the shard's state in the format that Manatee (v2)
+ * writes, and it treats several local Postgres clusters (see
+ * "server.postgres.instances" and lib/postgres.js) as the shard's peers.  Each
+ * peer is reached through its own FaultProxy (see lib/faultproxy.js), so that
+ * the stand-in can count connections to each peer and make peers unreachable.
+ * Servers are configured to use Manatee with the stand-in's ZooKeeper server
+ * (see configPatch()), and tests can then switch the primary or take away all
+ * the peers in the middle of a workload.
+ *
+ * This is not Manatee.  The peers are independent clusters rather than
+ * replicas, so data written before a switch is not visible afterwards, and
+ * nothing checks that the server only writes to the primary.  Tests should
+ * check what errors the client sees and how quickly the server recovers, not
+ * whether data survives a failover.
+ */
+
+var mod_assertplus = require('assert-plus');
+var mod_events = require('events');
+var mod_jsprim = require('jsprim');
+var mod_util = require('util');
+var mod_vasync = require('vasync');
+
+var mod_postgres = require('./postgres');
+var FaultProxy = require('./faultproxy').FaultProxy;
+var ZooKeeperServer = require('./zookeeper').ZooKeeperServer;
+
+/* exported interface */
+exports.ManateeStandIn = ManateeStandIn;
+exports.createStandIn = createStandIn;
+
+/*
+ * Default ZooKeeper path of the shard.
+ */
+var DEFAULT_SHARD_PATH = '/manatee/moray-test-suite';
+
+/*
+ * ZooKeeper connect and session timeouts (in milliseconds) for servers using
+ * the stand-in.  The ZooKeeper server is local, so these can be short.
+ */
+var ZK_CONNECT_TIMEOUT = 4000;
+var ZK_SESSION_TIMEOUT = 10000;
+
+/*
+ * A ManateeStandIn serves the topology of a shard whose peers are local
+ * Postgres clusters.  Initially, the first peer is the primary, the second (if
+ * any) is the sync, and the rest are asyncs.  Named arguments:
+ *
+ *     peers        array of Postgres clusters (see lib/postgres.js) standing
+ *     [array]      in for the peers of the shard.  At least two are needed
+ *                  to switch the primary.
+ *
+ *     shardPath    ZooKeeper path of the shard (default:
+ *     [string]     "/manatee/moray-test-suite").  The topology is stored in
+ *                  the "state" node under this path.
+ *
+ * The stand-in emits 'topology' with the new state (see state()) whenever the
+ * topology changes.  Call listen() to start the ZooKeeper server and the
+ * proxies, configure servers with configPatch() (see helper.createServer()),
+ * and call close() to stop everything and close all connections.
+ */
+function ManateeStandIn(args)
+{
+    var self = this;
+
+    mod_assertplus.object(args, 'args');
+    mod_assertplus.arrayOfObject(args.peers, 'args.peers');
+    mod_assertplus.ok(args.peers.length > 0, 'args.peers must not be empty');
+    mod_assertplus.optionalString(args.shardPath, 'args.shardPath');
+
+    mod_events.EventEmitter.call(this);
+
+    this.ms_peers = args.peers.slice(0);
+    this.ms_path = args.shardPath || DEFAULT_SHARD_PATH;
+    this.ms_generation = 0;     /* topology generation (as in Manatee) */
+    this.ms_primary = 0;        /* index of the primary peer */
+    this.ms_deposed = [];       /* indexes of deposed peers */
+    this.ms_reachable = true;   /* false after noPeers() */
+    this.ms_zk = new ZooKeeperServer();
+    this.ms_connections = this.ms_peers.map(function () { return (0); });
+    this.ms_proxies = this.ms_peers.map(function (peer, i) {
+        var proxy = new FaultProxy({ 'targetPort': peer.pg_port });
+        proxy.on('connection', function () { self.ms_connections[i]++; });
+        return (proxy);
+    });
+}
+
+mod_util.inherits(ManateeStandIn, mod_events.EventEmitter);
+
+/*
+ * Start the ZooKeeper server and the proxies, publish the initial topology,
+ * and invoke callback(err) once ready.
+ */
+ManateeStandIn.prototype.listen = function (callback)
+{
+    var self = this;
+
+    mod_assertplus.func(callback, 'callback');
+    mod_vasync.forEachParallel({
+        'inputs': [ this.ms_zk ].concat(this.ms_proxies),
+        'func': function (server, subcallback) {
+            server.listen(subcallback);
+        }
+    }, function (err) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        self.publish();
+        callback(null);
+    });
+};
+
+/*
+ * Returns the port on which the ZooKeeper server is listening.
+ */
+ManateeStandIn.prototype.port = function ()
+{
+    return (this.ms_zk.port());
+};
+
+/*
+ * Returns the ZooKeeper path of the node holding the shard's state.
+ */
+ManateeStandIn.prototype.statePath = function ()
+{
+    return (this.ms_path + '/state');
+};
+
+/*
+ * Returns a patch for a server configuration "config" (see the "configPatch"
+ * option to helper.createServer()) that has the server find its database
+ * through the stand-in rather than use a standalone database.  If the
+ * configuration has no Postgres pool settings for Manatee, the ones for the
+ * standalone database are used.
+ */
+ManateeStandIn.prototype.configPatch = function (config)
+{
+    var patch;
+
+    mod_assertplus.object(config, 'config');
+
+    patch = {
+        'standalone': null,
+        'manatee': {
+            'manatee': {
+                'path': this.ms_path,
+                'zk': {
+                    'connectTimeout': ZK_CONNECT_TIMEOUT,
+                    'servers': [ { 'host': '127.0.0.1', 'port': this.port() } ],
+                    'timeout': ZK_SESSION_TIMEOUT
+                }
+            }
+        }
+    };
+
+    if (!mod_jsprim.pluck(config, 'manatee.pg') &&
+        mod_jsprim.pluck(config, 'standalone.pg')) {
+        patch.manatee.pg = config.standalone.pg;
+    }
+
+    return (patch);
+};
+
+/*
+ * Returns the current topology, with properties:
+ *
+ *     generation   topology generation, incremented by switchPrimary()
+ *
+ *     primary      index (into "peers") of the primary
+ *
+ *     sync         index of the sync, or null if there isn't one
+ *
+ *     async        array of indexes of the asyncs
+ *
+ *     deposed      array of indexes of deposed peers
+ *
+ *     reachable    false if the peers have been made unreachable (see
+ *                  noPeers())
+ */
+ManateeStandIn.prototype.state = function ()
+{
+    var self = this;
+    var others;
+
+    others = [];
+    this.ms_peers.forEach(function (_, i) {
+        if (i != self.ms_primary && self.ms_deposed.indexOf(i) == -1) {
+            others.push(i);
+        }
+    });
+
+    return ({
+        'generation': this.ms_generation,
+        'primary': this.ms_primary,
+        'sync': others.length > 0 ? others[0] : null,
+        'async': others.slice(1),
+        'deposed': this.ms_deposed.slice(0),
+        'reachable': this.ms_reachable
+    });
+};
+
+/*
+ * Returns the number of connections that have been made to peer "index".
+ */
+ManateeStandIn.prototype.connections = function (index)
+{
+    this.assertPeer(index);
+    return (this.ms_connections[index]);
+};
+
+/*
+ * Returns the number of ZooKeeper connections watching the shard's state.
+ * Tests can use this to check that servers are following the topology.
+ */
+ManateeStandIn.prototype.watchers = function ()
+{
+    return (this.ms_zk.watchers(this.statePath()));
+};
+
+/*
+ * Make peer "index" (by default, the sync) the primary, as Manatee does when
+ * the primary fails.  The old primary is deposed: its connections are closed
+ * and new ones are refused.  If the new primary was deposed or unreachable, it
+ * becomes reachable again, as though it had been rebuilt.
+ */
+ManateeStandIn.prototype.switchPrimary = function (index)
+{
+    var old = this.ms_primary;
+
+    if (index === undefined) {
+        index = this.state().sync;
+        mod_assertplus.ok(index !== null, 'there is no sync to take over');
+    }
+
+    this.assertPeer(index);
+    mod_assertplus.ok(index != old, 'peer ' + index + ' is already primary');
+
+    this.ms_proxies[old].setFaults({ 'refuse': true, 'drop': true });
+    this.ms_deposed = this.ms_deposed.filter(function (i) {
+        return (i != index);
+    });
+    this.ms_deposed.push(old);
+    this.ms_primary = index;
+    this.ms_generation++;
+    if (this.ms_reachable) {
+        this.ms_proxies[index].setFaults({});
+    }
+
+    this.publish();
+};
+
+/*
+ * Make all of the peers unreachable, as though the whole shard had gone down:
+ * existing connections are closed and new ones are refused until
+ * restorePeers().  The topology doesn't change, since Manatee never publishes
+ * a topology without a primary.
+ */
+ManateeStandIn.prototype.noPeers = function ()
+{
+    this.ms_reachable = false;
+    this.ms_proxies.forEach(function (proxy) {
+        proxy.setFaults({ 'refuse': true, 'drop': true });
+    });
+
+    this.emit('topology', this.state());
+};
+
+/*
+ * Undo noPeers(): all peers that haven't been deposed become reachable again.
+ */
+ManateeStandIn.prototype.restorePeers = function ()
+{
+    var self = this;
+
+    this.ms_reachable = true;
+    this.ms_proxies.forEach(function (proxy, i) {
+        if (self.ms_deposed.indexOf(i) == -1) {
+            proxy.setFaults({});
+        }
+    });
+
+    this.emit('topology', this.state());
+};
+
+/*
+ * Stop the ZooKeeper server and the proxies, close all connections, and invoke
+ * callback() once everything has shut down.
+ */
+ManateeStandIn.prototype.close = function (callback)
+{
+    mod_assertplus.func(callback, 'callback');
+    mod_vasync.forEachParallel({
+        'inputs': [ this.ms_zk ].concat(this.ms_proxies),
+        'func': function (server, subcallback) {
+            server.close(function () { subcallback(); });
+        }
+    }, function () { callback(); });
+};
+
+/*
+ * Write the current topology to the shard's state node, in the format that
+ * Manatee uses, and emit 'topology'.
+ */
+ManateeStandIn.prototype.publish = function ()
+{
+    var self = this;
+    var state, topology;
+
+    state = this.state();
+    topology = {
+        'generation': state.generation,
+        'primary': this.peerInfo(state.primary),
+        'sync': state.sync === null ? null : this.peerInfo(state.sync),
+        'async': state.async.map(function (i) {
+            return (self.peerInfo(i));
+        }),
+        'deposed': state.deposed.map(function (i) {
+            return (self.peerInfo(i));
+        }),
+        'initWal': '0/00000000'
+    };
+
+    if (topology.sync === null) {
+        topology.oneNodeWriteMode = true;
+    }
+
+    this.ms_zk.setData(this.statePath(), JSON.stringify(topology));
+    this.emit('topology', state);
+};
+
+/*
+ * Returns the description of peer "index" that Manatee uses in the topology.
+ * Clients connect to "pgUrl", which goes through the peer's proxy.
+ */
+ManateeStandIn.prototype.peerInfo = function (index)
+{
+    var port = this.ms_proxies[index].port();
+
+    return ({
+        'id': '127.0.0.1:' + port + ':0',
+        'zoneId': 'peer' + index,
+        'ip': '127.0.0.1',
+        'pgUrl': this.ms_peers[index].url(port),
+        'backupUrl': 'http://127.0.0.1:0'
+    });
+};
+
+ManateeStandIn.prototype.assertPeer = function (index)
+{
+    mod_assertplus.number(index, 'index');
+    mod_assertplus.ok(index >= 0 && index < this.ms_peers.length,
+        'no such peer: ' + index);
+};
+
+/*
+ * Returns a ManateeStandIn whose peers are the private Postgres clusters
+ * described by the environment "env" (an object like process.env), or null if
+ * there aren't at least two of them.
+ */
+function createStandIn(env)
+{
+    var clusters = mod_postgres.clustersFromEnvironment(env);
+
+    if (clusters.length < 2) {
+        return (null);
+    }
+
+    return (new ManateeStandIn({ 'peers': clusters }));
+}
@@ -0,0 +1,51 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2016, Joyent, Inc.
+ */
+
+/*
+ * merge.js: merge configuration objects
+ */
+
+var mod_assertplus = require('assert-plus');
+var mod_jsprim = require('jsprim');
+
+/* exported interface */
+exports.deepMerge = deepMerge;
+
+/*
+ * Returns a new object with the properties of "overrides" merged onto those of
+ * "base".  Where both have an object (that's not an array) for the same
+ * property, the two objects are merged the same way.  Otherwise, the value in
+ * "overrides" replaces the one in "base", so arrays are replaced rather than
+ * concatenated.  Neither argument is modified.
+ */
+function deepMerge(base, overrides)
+{
+    var rv;
+
+    mod_assertplus.object(base, 'base');
+    mod_assertplus.object(overrides, 'overrides');
+
+    rv = mod_jsprim.deepCopy(base);
+    mod_jsprim.forEachKey(overrides, function (key, value) {
+        if (isPlainObject(value) && isPlainObject(rv[key])) {
+            rv[key] = deepMerge(rv[key], value);
+        } else {
+            rv[key] = mod_jsprim.deepCopy(value);
+        }
+    });
+
+    return (rv);
+}
+
+function isPlainObject(value)
+{
+    return (typeof (value) == 'object' && value !== null &&
+        !Array.isArray(value));
+}
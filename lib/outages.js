@@ -0,0 +1,217 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2016, Joyent, Inc.
+ */
+
+/*
+ * outages.js: inject server outages into a running test
+ */
+
+var mod_assertplus = require('assert-plus');
+var mod_events = require('events');
+var mod_util = require('util');
+
+var helper = require('../test/helper');
+
+/* exported interface */
+exports.injectOutage = injectOutage;
+exports.OutageSchedule = OutageSchedule;
+
+/*
+ * Kinds of outages:
+ *
+ *     restart      stop the server with SIGTERM, wait "duration" milliseconds,
+ *                  and start it again
+ *
+ *     kill         like "restart", but stop the server with SIGKILL
+ *
+ *     pause        suspend the server with SIGSTOP and resume it with SIGCONT
+ *                  after "duration" milliseconds
+ */
+var outageKinds = {
+    'restart': { 'signal': 'SIGTERM' },
+    'kill': { 'signal': 'SIGKILL' },
+    'pause': null
+};
+
+/*
+ * Inject a single outage into "server" (a handle returned by
+ * helper.createServer()) and invoke callback(err, outage) once the server is
+ * available again.  Named arguments:
+ *
+ *     action       one of the kinds of outages described above
+ *
+ *     duration     how long the server should be down, in milliseconds
+ *
+ * The returned "outage" describes what happened:
+ *
+ *     o_action     the kind of outage
+ *
+ *     o_start      time when the outage started (as from Date.now())
+ *
+ *     o_end        time when the server was available again
+ */
+function injectOutage(server, args, callback)
+{
+    var outage;
+
+    mod_assertplus.object(server, 'server');
+    mod_assertplus.object(args, 'args');
+    mod_assertplus.string(args.action, 'args.action');
+    mod_assertplus.ok(outageKinds.hasOwnProperty(args.action),
+        'unsupported outage: "' + args.action + '"');
+    mod_assertplus.number(args.duration, 'args.duration');
+    mod_assertplus.func(callback, 'callback');
+
+    outage = {
+        'o_action': args.action,
+        'o_start': Date.now(),
+        'o_end': null
+    };
+
+    if (args.action == 'pause') {
+        helper.pauseServer(server);
+        setTimeout(function () {
+            helper.resumeServer(server);
+            outage.o_end = Date.now();
+            callback(null, outage);
+        }, args.duration);
+        return;
+    }
+
+    helper.killServer(server, outageKinds[args.action].signal, function () {
+        setTimeout(function () {
+            helper.restartServer(server, function (err) {
+                outage.o_end = Date.now();
+                callback(err, outage);
+            });
+        }, args.duration);
+    });
+}
+
+/*
+ * An OutageSchedule injects outages into "server" periodically until stop() is
+ * called.  Named arguments:
+ *
+ *     action       kind of outage to inject (see above)
+ *
+ *     duration     duration of each outage, in milliseconds
+ *
+ *     interval     time between the end of one outage and the start of the
+ *                  next, in milliseconds
+ *
+ * Consumers can listen for:
+ *
+ *     'outageStart'    emitted with the outage number when an outage starts
+ *
+ *     'outageEnd'      emitted with the outage object (see injectOutage())
+ *                      when the server is available again
+ *
+ *     'error'          emitted if the server could not be restarted, after
+ *                      which no more outages are injected
+ *
+ * The schedule starts when start() is called.
+ */
+function OutageSchedule(server, args)
+{
+    mod_assertplus.object(server, 'server');
+    mod_assertplus.object(args, 'args');
+    mod_assertplus.string(args.action, 'args.action');
+    mod_assertplus.ok(outageKinds.hasOwnProperty(args.action),
+        'unsupported outage: "' + args.action + '"');
+    mod_assertplus.number(args.duration, 'args.duration');
+    mod_assertplus.number(args.interval, 'args.interval');
+
+    mod_events.EventEmitter.call(this);
+
+    this.os_server = server;
+    this.os_action = args.action;
+    this.os_duration = args.duration;
+    this.os_interval = args.interval;
+    this.os_timer = null;       /* timer for the next outage */
+    this.os_active = false;     /* an outage is in progress */
+    this.os_stopped = false;    /* stop() has been called */
+    this.os_stop_cb = null;     /* stop() callback, if waiting for an outage */
+    this.os_outages = [];       /* completed outages */
+}
+
+mod_util.inherits(OutageSchedule, mod_events.EventEmitter);
+
+OutageSchedule.prototype.start = function ()
+{
+    mod_assertplus.ok(!this.os_stopped, 'schedule has been stopped');
+    this.scheduleNext();
+};
+
+OutageSchedule.prototype.scheduleNext = function ()
+{
+    var self = this;
+
+    mod_assertplus.ok(this.os_timer === null);
+    this.os_timer = setTimeout(function () {
+        self.os_timer = null;
+        self.os_active = true;
+        self.emit('outageStart', self.os_outages.length + 1);
+        injectOutage(self.os_server, {
+            'action': self.os_action,
+            'duration': self.os_duration
+        }, function (err, outage) {
+            var stopcb;
+
+            self.os_active = false;
+            self.os_outages.push(outage);
+            if (err) {
+                self.os_stopped = true;
+                self.emit('error', err);
+            } else {
+                self.emit('outageEnd', outage);
+            }
+
+            if (self.os_stopped) {
+                if (self.os_stop_cb !== null) {
+                    stopcb = self.os_stop_cb;
+                    self.os_stop_cb = null;
+                    stopcb();
+                }
+                return;
+            }
+
+            self.scheduleNext();
+        });
+    }, this.os_interval);
+};
+
+/*
+ * Stop injecting outages.  If an outage is in progress, callback is invoked
+ * once the server is available again.
+ */
+OutageSchedule.prototype.stop = function (callback)
+{
+    mod_assertplus.func(callback, 'callback');
+    mod_assertplus.ok(this.os_stop_cb === null, 'already stopping');
+
+    this.os_stopped = true;
+    if (this.os_timer !== null) {
+        clearTimeout(this.os_timer);
+        this.os_timer = null;
+    }
+
+    if (this.os_active) {
+        this.os_stop_cb = callback;
+    } else {
+        setImmediate(callback);
+    }
+};
+
+/*
+ * Returns the list of outages that have completed.
+ */
+OutageSchedule.prototype.outages = function ()
+{
+    return (this.os_outages.slice(0));
+};
@@ -0,0 +1,234 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2016, Joyent, Inc.
+ */
+
+/*
+ * postgres.js: manage a private, throwaway Postgres cluster for local runs
+ *
+ * When configured with "server.postgres", the "configure" tool creates a
+ * Postgres cluster (with "initdb") in the run directory and points the
+ * generated server configuration at it, and "run-tests" starts the cluster
+ * before running any tests and stops it afterwards.  With
+ * "server.postgres.instances", it creates several independent clusters, which
+ * stand in for the peers of a Manatee shard in failover tests (see
+ * lib/manatee.js).  The clusters only listen on the loopback address and trust
+ * all local connections, so they're only suitable for testing.
+ */
+
+var mod_assertplus = require('assert-plus');
+var mod_forkexec = require('forkexec');
+var mod_path = require('path');
+var VError = require('verror');
+
+/* exported interface */
+exports.PostgresCluster = PostgresCluster;
+exports.clustersFromEnvironment = clustersFromEnvironment;
+
+/*
+ * Database superuser created by "initdb".  Moray connects as this user.
+ */
+var PG_USER = 'postgres';
+
+/*
+ * Seconds that "pg_ctl" waits for the cluster to start up or shut down.
+ */
+var PG_CTL_TIMEOUT = 60;
+
+/*
+ * A PostgresCluster describes a private Postgres cluster.  This object only
+ * knows how to run the Postgres tools: it does not keep track of whether the
+ * cluster is running.  Named arguments:
+ *
+ *     bin          directory containing the Postgres programs ("initdb",
+ *     [string]     "pg_ctl", and "createdb").  By default, they're found on
+ *                  the PATH.
+ *
+ *     dataDir      cluster data directory
+ *     [string]
+ *
+ *     logFile      file to which the cluster writes its log
+ *     [string]
+ *
+ *     port         TCP port on which the cluster listens (on 127.0.0.1)
+ *     [number]
+ *
+ *     database     name of the database that Moray uses
+ *     [string]
+ */
+function PostgresCluster(args)
+{
+    mod_assertplus.object(args, 'args');
+    mod_assertplus.optionalString(args.bin, 'args.bin');
+    mod_assertplus.string(args.dataDir, 'args.dataDir');
+    mod_assertplus.string(args.logFile, 'args.logFile');
+    mod_assertplus.number(args.port, 'args.port');
+    mod_assertplus.string(args.database, 'args.database');
+
+    this.pg_bin = args.bin || null;
+    this.pg_datadir = args.dataDir;
+    this.pg_logfile = args.logFile;
+    this.pg_port = args.port;
+    this.pg_database = args.database;
+}
+
+/*
+ * Returns the path to the Postgres program "name".
+ */
+PostgresCluster.prototype.program = function (name)
+{
+    return (this.pg_bin === null ? name : mod_path.join(this.pg_bin, name));
+};
+
+/*
+ * Returns the URL that Moray uses to connect to the database (as configured
+ * with "standalone.url").  If "port" is given, the URL refers to that port
+ * instead of the cluster's own, for reaching the database through a proxy.
+ */
+PostgresCluster.prototype.url = function (port)
+{
+    mod_assertplus.optionalNumber(port, 'port');
+    return ('tcp://' + PG_USER + '@127.0.0.1:' +
+        (port === undefined ? this.pg_port : port) + '/' + this.pg_database);
+};
+
+/*
+ * Returns the contents of the cluster's "postgresql.auto.conf" file, which
+ * "initdb" creates and Postgres reads after "postgresql.conf".  Besides the
+ * port, we disable the Unix domain socket (whose path can easily be too long
+ * when it's in the data directory) and durability settings that make the
+ * cluster slower without being useful for throwaway data.
+ */
+PostgresCluster.prototype.settings = function ()
+{
+    return ([
+        '#',
+        '# This file was auto-generated by the "configure" tool in the',
+        '# moray-test-suite repository.',
+        '#',
+        'port = ' + this.pg_port,
+        'listen_addresses = \'127.0.0.1\'',
+        'unix_socket_directories = \'\'',
+        'fsync = off',
+        'synchronous_commit = off',
+        'full_page_writes = off',
+        ''
+    ].join('\n'));
+};
+
+/*
+ * Returns the filename of the settings file described above.
+ */
+PostgresCluster.prototype.settingsFile = function ()
+{
+    return (mod_path.join(this.pg_datadir, 'postgresql.auto.conf'));
+};
+
+/*
+ * The following functions return the arguments for the commands that create,
+ * start, and stop the cluster and create Moray's database.  "configure" runs
+ * these itself so that it can print them out in dry-run mode.
+ */
+PostgresCluster.prototype.initdbArgv = function ()
+{
+    return ([ this.program('initdb'), '-D', this.pg_datadir,
+        '-U', PG_USER, '-A', 'trust', '-E', 'UTF8', '--no-locale' ]);
+};
+
+PostgresCluster.prototype.startArgv = function ()
+{
+    return ([ this.program('pg_ctl'), '-D', this.pg_datadir,
+        '-l', this.pg_logfile, '-w', '-t', String(PG_CTL_TIMEOUT), 'start' ]);
+};
+
+PostgresCluster.prototype.stopArgv = function ()
+{
+    return ([ this.program('pg_ctl'), '-D', this.pg_datadir,
+        '-m', 'fast', '-w', '-t', String(PG_CTL_TIMEOUT), 'stop' ]);
+};
+
+PostgresCluster.prototype.createdbArgv = function ()
+{
+    return ([ this.program('createdb'), '-h', '127.0.0.1',
+        '-p', String(this.pg_port), '-U', PG_USER, this.pg_database ]);
+};
+
+/*
+ * Start the cluster and invoke callback(err) once it's accepting connections.
+ */
+PostgresCluster.prototype.start = function (callback)
+{
+    this.exec('start', this.startArgv(), callback);
+};
+
+/*
+ * Stop the cluster (disconnecting any clients) and invoke callback(err) once
+ * it has shut down.
+ */
+PostgresCluster.prototype.stop = function (callback)
+{
+    this.exec('stop', this.stopArgv(), callback);
+};
+
+PostgresCluster.prototype.exec = function (what, argv, callback)
+{
+    var self = this;
+
+    mod_assertplus.func(callback, 'callback');
+    mod_forkexec.forkExecWait({
+        'argv': argv
+    }, function (err, info) {
+        if (err) {
+            err = new VError(err, '%s postgres cluster "%s" (see "%s")',
+                what, self.pg_datadir, self.pg_logfile);
+        }
+
+        callback(err, info);
+    });
+};
+
+/*
+ * Returns an array of the PostgresClusters described by the environment "env"
+ * (an object like process.env) that "configure" generated.  The array is empty
+ * if the environment does not describe any private clusters.  Otherwise, the
+ * first one is the cluster that servers use by default.
+ */
+function clustersFromEnvironment(env)
+{
+    var instances;
+
+    mod_assertplus.object(env, 'env');
+
+    if (!env['MORAY_TEST_PG_DATA']) {
+        return ([]);
+    }
+
+    if (env['MORAY_TEST_PG_INSTANCES']) {
+        try {
+            instances = JSON.parse(env['MORAY_TEST_PG_INSTANCES']);
+        } catch (ex) {
+            throw (new VError(ex, 'parse MORAY_TEST_PG_INSTANCES'));
+        }
+    } else {
+        instances = [ {
+            'dataDir': env['MORAY_TEST_PG_DATA'],
+            'logFile': env['MORAY_TEST_PG_LOG'],
+            'port': parseInt(env['MORAY_TEST_PG_PORT'], 10)
+        } ];
+    }
+
+    return (instances.map(function (instance) {
+        return (new PostgresCluster({
+            'bin': env['MORAY_TEST_PG_BIN'] || undefined,
+            'dataDir': instance.dataDir,
+            'logFile': instance.logFile,
+            'port': instance.port,
+            'database': env['MORAY_TEST_PG_DATABASE']
+        }));
+    }));
+}
@@ -0,0 +1,427 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2016, Joyent, Inc.
+ */
+
+/*
+ * recording.js: record Fast RPC traffic between a client and server, and
+ * replay recorded traffic from a fake server
+ */
+
+var mod_assertplus = require('assert-plus');
+var mod_events = require('events');
+var mod_fs = require('fs');
+var mod_jsprim = require('jsprim');
+var mod_util = require('util');
+var VError = require('verror');
+
+var FakeServer = require('./fakeserver').FakeServer;
+var FaultProxy = require('./faultproxy').FaultProxy;
+
+/* exported interface */
+exports.Recorder = Recorder;
+exports.ReplayServer = ReplayServer;
+exports.loadRecording = loadRecording;
+
+/*
+ * Version of the recording file format.
+ */
+var RECORDING_VERSION = 1;
+
+/*
+ * Fast protocol framing.  Each message has a 15-byte header (version, type,
+ * status, message id, CRC, and data length) followed by JSON data.  We only
+ * need to decode messages, not validate them, since the client and server do
+ * that themselves.  Versions 1 and 2 (used by fast v3) differ only in how the
+ * CRC is computed, which we don't check.
+ */
+var FP_OFF_VERSION = 0x0;
+var FP_OFF_STATUS = 0x2;
+var FP_OFF_MSGID = 0x3;
+var FP_OFF_DATALEN = 0xb;
+var FP_HEADER_SZ = 0xf;
+var FP_VERSION_1 = 0x1;
+var FP_VERSION_2 = 0x2;
+var FP_STATUS_DATA = 0x1;
+var FP_STATUS_END = 0x2;
+var FP_STATUS_ERROR = 0x3;
+
+/*
+ * A Recorder is a proxy that records the RPCs that pass between a client and
+ * server.  Named arguments:
+ *
+ *     targetHost   host of the server to which to forward connections
+ *     [string]
+ *
+ *     targetPort   port of the server to which to forward connections
+ *     [number]
+ *
+ * Point the client at the proxy's port once listen() completes, and call save()
+ * to write the recording to a file.  A recording is a JSON object with
+ * properties:
+ *
+ *     version      version of the file format
+ *
+ *     target       address of the server, as "host:port"
+ *
+ *     start        ISO 8601 timestamp when the recording started
+ *
+ *     rpcs         array of RPCs, in the order they were started, each with
+ *                  properties:
+ *
+ *         method       RPC method name
+ *         argv         RPC arguments
+ *         connection   identifies the connection the RPC used
+ *         start        milliseconds after the recording started
+ *         duration     milliseconds until the RPC completed (or null)
+ *         records      array of objects sent back by the server
+ *         error        the error sent back by the server (or null), with
+ *                      properties like "name", "message", and "context"
+ *         complete     boolean indicating whether the RPC completed
+ *
+ * If the traffic on a connection can't be decoded as Fast messages, the
+ * Recorder emits 'error' and records nothing more from that connection, since
+ * the recording would be missing RPCs.
+ */
+function Recorder(args)
+{
+    mod_assertplus.object(args, 'args');
+    mod_assertplus.string(args.targetHost, 'args.targetHost');
+    mod_assertplus.number(args.targetPort, 'args.targetPort');
+
+    mod_events.EventEmitter.call(this);
+
+    this.rc_target = args.targetHost + ':' + args.targetPort;
+    this.rc_start = new Date();
+    this.rc_rpcs = [];          /* recorded RPCs */
+    this.rc_pending = {};       /* incomplete RPCs, by connection and msgid */
+    this.rc_parsers = {};       /* frame parsers, by connection and direction */
+    this.rc_proxy = new FaultProxy({
+        'targetHost': args.targetHost,
+        'targetPort': args.targetPort
+    });
+
+    this.rc_proxy.on('data', this.onData.bind(this));
+}
+
+mod_util.inherits(Recorder, mod_events.EventEmitter);
+
+Recorder.prototype.listen = function (callback)
+{
+    this.rc_proxy.listen(callback);
+};
+
+Recorder.prototype.port = function ()
+{
+    return (this.rc_proxy.port());
+};
+
+Recorder.prototype.close = function (callback)
+{
+    this.rc_proxy.close(callback);
+};
+
+Recorder.prototype.onData = function (connid, dir, chunk)
+{
+    var self = this;
+    var key, parser, messages;
+
+    key = connid + '/' + dir;
+    if (!this.rc_parsers.hasOwnProperty(key)) {
+        this.rc_parsers[key] = new FrameParser();
+    }
+
+    parser = this.rc_parsers[key];
+    if (parser.fp_error !== null) {
+        return;
+    }
+
+    messages = parser.write(chunk);
+    if (parser.fp_error !== null) {
+        this.emit('error', new VError(parser.fp_error,
+            'recording connection %s (%s)', connid, dir));
+    }
+
+    messages.forEach(function (msg) {
+        if (dir == 'toServer') {
+            self.onRequest(connid, msg);
+        } else {
+            self.onResponse(connid, msg);
+        }
+    });
+};
+
+Recorder.prototype.onRequest = function (connid, msg)
+{
+    var rpc;
+
+    if (msg.status != FP_STATUS_DATA || typeof (msg.data) != 'object' ||
+        msg.data === null || typeof (msg.data.m) != 'object' ||
+        msg.data.m === null) {
+        return;
+    }
+
+    rpc = {
+        'method': msg.data.m.name,
+        'argv': msg.data.d,
+        'connection': connid,
+        'start': Date.now() - this.rc_start.getTime(),
+        'duration': null,
+        'records': [],
+        'error': null,
+        'complete': false
+    };
+
+    this.rc_rpcs.push(rpc);
+    this.rc_pending[connid + '/' + msg.msgid] = rpc;
+};
+
+Recorder.prototype.onResponse = function (connid, msg)
+{
+    var key, rpc, data;
+
+    key = connid + '/' + msg.msgid;
+    if (!this.rc_pending.hasOwnProperty(key)) {
+        return;
+    }
+
+    rpc = this.rc_pending[key];
+    data = msg.data !== null && typeof (msg.data) == 'object' ?
+        msg.data.d : undefined;
+
+    if (msg.status == FP_STATUS_ERROR) {
+        rpc.error = data === undefined ? null : data;
+    } else if (Array.isArray(data)) {
+        rpc.records = rpc.records.concat(data);
+    }
+
+    if (msg.status == FP_STATUS_END || msg.status == FP_STATUS_ERROR) {
+        rpc.duration = Date.now() - this.rc_start.getTime() - rpc.start;
+        rpc.complete = true;
+        delete (this.rc_pending[key]);
+    }
+};
+
+/*
+ * Returns the recording as an object (see above).
+ */
+Recorder.prototype.recording = function ()
+{
+    return ({
+        'version': RECORDING_VERSION,
+        'target': this.rc_target,
+        'start': this.rc_start.toISOString(),
+        'rpcs': mod_jsprim.deepCopy(this.rc_rpcs)
+    });
+};
+
+/*
+ * Synchronously write the recording to "filename".  This is synchronous so
+ * that it can be used from a process 'exit' handler.
+ */
+Recorder.prototype.save = function (filename)
+{
+    mod_assertplus.string(filename, 'filename');
+    mod_fs.writeFileSync(filename,
+        JSON.stringify(this.recording(), null, 4) + '\n');
+};
+
+/*
+ * Synchronously read and validate the recording in "filename".  Returns the
+ * recording or throws an error.
+ */
+function loadRecording(filename)
+{
+    var recording;
+
+    try {
+        recording = JSON.parse(mod_fs.readFileSync(filename, 'utf8'));
+    } catch (ex) {
+        throw (new VError(ex, 'load recording "%s"', filename));
+    }
+
+    if (typeof (recording) != 'object' || recording === null ||
+        recording.version != RECORDING_VERSION ||
+        !Array.isArray(recording.rpcs)) {
+        throw (new VError('load recording "%s": not a version %d recording',
+            filename, RECORDING_VERSION));
+    }
+
+    return (recording);
+}
+
+/*
+ * A ReplayServer is a FakeServer that responds to RPCs with the responses in a
+ * recording.  For each RPC method, the Nth request receives the response that
+ * the server sent to the Nth request in the recording.  Named arguments:
+ *
+ *     recording    recording to replay (see Recorder and loadRecording())
+ *     [object]
+ *
+ *     strict       if true, fail requests whose arguments differ from the
+ *     [bool]       recorded ones.  Request ids ("req_id" properties) are
+ *                  ignored, since they're different for every request.
+ *
+ *     timing       if true, delay each response by the recorded duration
+ *     [bool]
+ *
+ * Requests beyond those in the recording fail with a ReplayExhaustedError, and
+ * requests that don't match in strict mode fail with a ReplayMismatchError.
+ * Recorded requests that never completed are never answered.  The usual
+ * FakeServer methods (listen(), calls(), close(), and so on) are available.
+ */
+function ReplayServer(args)
+{
+    var self = this;
+
+    mod_assertplus.object(args, 'args');
+    mod_assertplus.object(args.recording, 'args.recording');
+    mod_assertplus.optionalBool(args.strict, 'args.strict');
+    mod_assertplus.optionalBool(args.timing, 'args.timing');
+
+    FakeServer.call(this, {});
+
+    this.rs_strict = args.strict || false;
+    this.rs_timing = args.timing || false;
+    this.rs_queues = {};        /* recorded RPCs not yet replayed, by method */
+
+    args.recording.rpcs.forEach(function (rpc) {
+        if (!self.rs_queues.hasOwnProperty(rpc.method)) {
+            self.rs_queues[rpc.method] = [];
+            self.respond(rpc.method, function (argv, fastrpc) {
+                self.replay(rpc.method, argv, fastrpc);
+            });
+        }
+
+        self.rs_queues[rpc.method].push(rpc);
+    });
+}
+
+mod_util.inherits(ReplayServer, FakeServer);
+
+ReplayServer.prototype.replay = function (method, argv, fastrpc)
+{
+    var recorded, response;
+
+    recorded = this.rs_queues[method].shift();
+    if (recorded === undefined) {
+        this.reply(fastrpc, { 'error': {
+            'name': 'ReplayExhaustedError',
+            'message': 'no more recorded responses for "' + method + '"'
+        } });
+        return;
+    }
+
+    if (this.rs_strict && !mod_jsprim.deepEqual(
+        withoutRequestIds(argv), withoutRequestIds(recorded.argv))) {
+        this.reply(fastrpc, { 'error': {
+            'name': 'ReplayMismatchError',
+            'message': 'arguments for "' + method + '" do not match ' +
+                'recording (expected ' + JSON.stringify(recorded.argv) +
+                ', found ' + JSON.stringify(argv) + ')'
+        } });
+        return;
+    }
+
+    response = {
+        'records': recorded.records,
+        'silent': !recorded.complete
+    };
+
+    if (recorded.error !== null) {
+        response.error = recorded.error;
+    }
+
+    if (this.rs_timing && recorded.duration !== null) {
+        response.delay = recorded.duration;
+    }
+
+    this.reply(fastrpc, response);
+};
+
+/*
+ * Returns a copy of "value" with all "req_id" properties removed.
+ */
+function withoutRequestIds(value)
+{
+    var rv;
+
+    if (Array.isArray(value)) {
+        return (value.map(withoutRequestIds));
+    }
+
+    if (typeof (value) != 'object' || value === null) {
+        return (value);
+    }
+
+    rv = {};
+    Object.keys(value).forEach(function (k) {
+        if (k != 'req_id') {
+            rv[k] = withoutRequestIds(value[k]);
+        }
+    });
+    return (rv);
+}
+
+/*
+ * A FrameParser splits a stream of bytes into Fast messages.  Each call to
+ * write() returns the messages completed by that chunk, each with "msgid",
+ * "status", and "data" (the parsed JSON).  If the stream is not valid Fast
+ * data, the parser stores an Error in "fp_error" and ignores the rest of the
+ * stream.
+ */
+function FrameParser()
+{
+    this.fp_buffer = null;      /* unparsed data */
+    this.fp_error = null;       /* why the stream isn't valid Fast data */
+}
+
+FrameParser.prototype.write = function (chunk)
+{
+    var messages = [];
+    var buf, version, datalen, data;
+
+    if (this.fp_error !== null) {
+        return (messages);
+    }
+
+    buf = this.fp_buffer === null ? chunk :
+        Buffer.concat([ this.fp_buffer, chunk ]);
+    while (buf.length >= FP_HEADER_SZ) {
+        version = buf.readUInt8(FP_OFF_VERSION);
+        if (version != FP_VERSION_1 && version != FP_VERSION_2) {
+            this.fp_error = new VError('unsupported Fast protocol ' +
+                'version: %d', version);
+            break;
+        }
+
+        datalen = buf.readUInt32BE(FP_OFF_DATALEN);
+        if (buf.length < FP_HEADER_SZ + datalen) {
+            break;
+        }
+
+        try {
+            data = JSON.parse(buf.slice(FP_HEADER_SZ,
+                FP_HEADER_SZ + datalen).toString('utf8'));
+        } catch (ex) {
+            this.fp_error = new VError(ex, 'invalid Fast message data');
+            break;
+        }
+
+        messages.push({
+            'msgid': buf.readUInt32BE(FP_OFF_MSGID),
+            'status': buf.readUInt8(FP_OFF_STATUS),
+            'data': data
+        });
+
+        buf = buf.slice(FP_HEADER_SZ + datalen);
+    }
+
+    this.fp_buffer = this.fp_error === null ? buf : null;
+    return (messages);
+};
@@ -0,0 +1,255 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2016, Joyent, Inc.
+ */
+
+/*
+ * reports.js: generate machine-readable reports of test suite runs
+ */
+
+var mod_assertplus = require('assert-plus');
+
+/* exported interface */
+exports.jsonReport = jsonReport;
+exports.junitReport = junitReport;
+
+/*
+ * Both report generators take a "run" object describing a completed run of the
+ * test runner, with properties:
+ *
+ *     start        Date when the run started
+ *
+ *     duration     duration of the run, in milliseconds
+ *
+ *     files        array of per-file results, each having properties:
+ *
+ *         target       name of the client-server target the file was run
+ *                      against, or null if there's only one target
+ *         file         path to the test file, relative to the test suite root
+ *         ok           boolean indicating whether the file passed
+ *         duration     duration of the test program, in milliseconds
+ *         status       exit status of the test program (or null)
+ *         signal       signal that terminated the test program (or null)
+ *         error        error describing a failure to run the program (or null)
+ *         output       combined stdout and stderr of the program
+ *         assertions   array of assertions, as emitted by a TapParser
+ *         plan         number of planned assertions (or null)
+ */
+function validateRun(run)
+{
+    mod_assertplus.object(run, 'run');
+    mod_assertplus.date(run.start, 'run.start');
+    mod_assertplus.number(run.duration, 'run.duration');
+    mod_assertplus.arrayOfObject(run.files, 'run.files');
+}
+
+/*
+ * Returns a JSON summary of the run (as a string).  There's one entry in
+ * "assertions" for each tape assertion in each test file.
+ */
+function jsonReport(run)
+{
+    var summary;
+
+    validateRun(run);
+    summary = {
+        'start': run.start.toISOString(),
+        'duration': run.duration,
+        'nfiles': run.files.length,
+        'nfailed': 0,
+        'files': [],
+        'assertions': []
+    };
+
+    run.files.forEach(function (fr) {
+        var nfailed = 0, nskipped = 0;
+
+        fr.assertions.forEach(function (ta) {
+            if (ta.ta_skip) {
+                nskipped++;
+            } else if (!ta.ta_ok) {
+                nfailed++;
+            }
+
+            summary.assertions.push({
+                'target': fr.target,
+                'file': fr.file,
+                'test': ta.ta_test,
+                'id': ta.ta_id,
+                'name': ta.ta_name,
+                'ok': ta.ta_ok,
+                'skip': ta.ta_skip,
+                'duration': ta.ta_duration,
+                'diagnostics': ta.ta_diag.join('\n')
+            });
+        });
+
+        if (!fr.ok) {
+            summary.nfailed++;
+        }
+
+        summary.files.push({
+            'target': fr.target,
+            'file': fr.file,
+            'ok': fr.ok,
+            'duration': fr.duration,
+            'status': fr.status,
+            'signal': fr.signal,
+            'error': fr.error !== null ? fr.error.message : null,
+            'plan': fr.plan,
+            'nassertions': fr.assertions.length,
+            'nfailed': nfailed,
+            'nskipped': nskipped
+        });
+    });
+
+    return (JSON.stringify(summary, null, 4) + '\n');
+}
+
+/*
+ * Returns a JUnit XML report of the run (as a string).  Each test file becomes
+ * a <testsuite>, and each assertion becomes a <testcase> whose class name is
+ * the tape test name.  If a test program failed for some reason other than a
+ * failed assertion (e.g., it crashed), we add a synthetic failed test case so
+ * that the failure isn't lost.  When there are several targets, suite and
+ * class names are prefixed with the target name so that results for the same
+ * test file against different targets can be told apart.
+ */
+function junitReport(run)
+{
+    var lines, ntests, nfailures;
+
+    validateRun(run);
+
+    ntests = 0;
+    nfailures = 0;
+    lines = [];
+    run.files.forEach(function (fr) {
+        var cases, nfailed, nskipped, crash, prefix;
+
+        prefix = fr.target ? fr.target + '/' : '';
+        cases = [];
+        nfailed = 0;
+        nskipped = 0;
+        fr.assertions.forEach(function (ta) {
+            var attrs = xmlAttrs({
+                'classname': prefix +
+                    (ta.ta_test !== null ? ta.ta_test : fr.file),
+                'name': ta.ta_id + ' ' + ta.ta_name,
+                'time': formatSeconds(ta.ta_duration)
+            });
+
+            if (ta.ta_skip) {
+                nskipped++;
+                cases.push('    <testcase ' + attrs + '>');
+                cases.push('      <skipped/>');
+                cases.push('    </testcase>');
+            } else if (!ta.ta_ok) {
+                nfailed++;
+                cases.push('    <testcase ' + attrs + '>');
+                cases.push('      <failure ' + xmlAttrs({
+                    'message': ta.ta_name
+                }) + '>' + xmlEscape(ta.ta_diag.join('\n')) + '</failure>');
+                cases.push('    </testcase>');
+            } else {
+                cases.push('    <testcase ' + attrs + '/>');
+            }
+        });
+
+        crash = programFailure(fr, nfailed);
+        if (crash !== null) {
+            nfailed++;
+            cases.push('    <testcase ' + xmlAttrs({
+                'classname': prefix + fr.file,
+                'name': '(test program)',
+                'time': formatSeconds(fr.duration)
+            }) + '>');
+            cases.push('      <failure ' + xmlAttrs({ 'message': crash }) +
+                '>' + xmlEscape(fr.output) + '</failure>');
+            cases.push('    </testcase>');
+        }
+
+        ntests += fr.assertions.length + (crash !== null ? 1 : 0);
+        nfailures += nfailed;
+        lines.push('  <testsuite ' + xmlAttrs({
+            'name': prefix + fr.file,
+            'tests': String(fr.assertions.length + (crash !== null ? 1 : 0)),
+            'failures': String(nfailed),
+            'errors': '0',
+            'skipped': String(nskipped),
+            'time': formatSeconds(fr.duration)
+        }) + '>');
+        lines = lines.concat(cases);
+        lines.push('  </testsuite>');
+    });
+
+    lines.unshift('<testsuites ' + xmlAttrs({
+        'name': 'moray-test-suite',
+        'tests': String(ntests),
+        'failures': String(nfailures),
+        'time': formatSeconds(run.duration),
+        'timestamp': run.start.toISOString()
+    }) + '>');
+    lines.unshift('<?xml version="1.0" encoding="UTF-8"?>');
+    lines.push('</testsuites>');
+    return (lines.join('\n') + '\n');
+}
+
+/*
+ * If the test program described by "fr" failed for a reason not accounted for
+ * by "nfailed" failed assertions, return a message describing why.  Otherwise,
+ * return null.
+ */
+function programFailure(fr, nfailed)
+{
+    if (fr.error !== null) {
+        return (fr.error.message);
+    }
+
+    if (fr.signal !== null) {
+        return ('killed by signal ' + fr.signal);
+    }
+
+    if (fr.plan !== null && fr.plan != fr.assertions.length) {
+        return ('planned ' + fr.plan + ' assertions, but saw ' +
+            fr.assertions.length);
+    }
+
+    if (fr.status !== 0 && nfailed === 0) {
+        return ('exited with status ' + fr.status);
+    }
+
+    return (null);
+}
+
+function formatSeconds(ms)
+{
+    return ((ms / 1000).toFixed(3));
+}
+
+function xmlAttrs(attrs)
+{
+    return (Object.keys(attrs).map(function (k) {
+        return (k + '="' + xmlEscape(attrs[k]) + '"');
+    }).join(' '));
+}
+
+/*
+ * Escape a string for use in XML text or attribute values.  Control characters
+ * other than tab and newline aren't allowed in XML 1.0 at all, so we drop them.
+ */
+function xmlEscape(str)
+{
+    return (String(str).
+        replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '').
+        replace(/&/g, '&amp;').
+        replace(/</g, '&lt;').
+        replace(/>/g, '&gt;').
+        replace(/"/g, '&quot;').
+        replace(/'/g, '&apos;'));
+}
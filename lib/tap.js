@@ -0,0 +1,222 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2016, Joyent, Inc.
+ */
+
+/*
+ * tap.js: parse the TAP output emitted by node-tape test programs
+ */
+
+var mod_assertplus = require('assert-plus');
+var mod_stream = require('stream');
+var mod_util = require('util');
+
+/* exported interface */
+exports.TapParser = TapParser;
+
+/*
+ * A TapParser is a Writable stream that consumes the TAP output of a single
+ * test program and keeps track of the assertions it reports.  This parser only
+ * understands the subset of TAP that node-tape emits:
+ *
+ *     # test name                  (starts a new test)
+ *     ok 3 assertion name          (passed assertion)
+ *     not ok 4 assertion name      (failed assertion, followed by an indented
+ *       ---                        YAML diagnostic block)
+ *       ...
+ *     ok 5 assertion name # SKIP   (skipped assertion)
+ *     1..5                         (plan, emitted at the end)
+ *     # tests 5                    (summary comments)
+ *
+ * Test programs using lib/harness.js also report where each server's log is
+ * saved with a comment that does not start a new test:
+ *
+ *     # server log: PATH
+ *
+ * These are recorded in "tp_serverlogs" as objects with properties "sl_test"
+ * (the name of the test that reported it) and "sl_path".
+ *
+ * Anything else (e.g., log output from the program) is ignored.  Consumers can
+ * listen for:
+ *
+ *     'test'       emitted with the test name when a new test starts
+ *
+ *     'assertion'  emitted with an assertion object (see below) once the
+ *                  assertion (including any diagnostics) has been parsed
+ *
+ * Assertion objects have properties:
+ *
+ *     ta_id        assertion number, as reported by tape
+ *     ta_ok        boolean indicating whether the assertion passed
+ *     ta_skip      boolean indicating whether the assertion was skipped
+ *     ta_test      name of the enclosing tape test (may be null)
+ *     ta_name      name of the assertion itself
+ *     ta_diag      array of diagnostic lines (usually only for failures)
+ *     ta_duration  approximate time in milliseconds taken by the assertion,
+ *                  measured from the previous assertion (or the start of the
+ *                  enclosing test, or the start of the output)
+ *
+ * Because timing is measured as output is parsed, durations are only
+ * meaningful when the parser is consuming the output of a running program.
+ */
+function TapParser()
+{
+    mod_stream.Writable.call(this, { 'decodeStrings': false });
+
+    this.tp_partial = '';       /* incomplete line of input */
+    this.tp_test = null;        /* name of current test */
+    this.tp_pending = null;     /* assertion whose diagnostics we're reading */
+    this.tp_indiag = false;     /* currently inside a diagnostic block */
+    this.tp_plan = null;        /* number of assertions planned */
+    this.tp_assertions = [];    /* all assertions parsed */
+    this.tp_npassed = 0;        /* count of assertions passed */
+    this.tp_nfailed = 0;        /* count of assertions failed */
+    this.tp_nskipped = 0;       /* count of assertions skipped */
+    this.tp_serverlogs = [];    /* server log files reported */
+    this.tp_last = Date.now();  /* time of the last test or assertion */
+
+    this.on('finish', this.flushLine.bind(this));
+}
+
+mod_util.inherits(TapParser, mod_stream.Writable);
+
+TapParser.prototype._write = function (chunk, _, callback)
+{
+    var lines;
+
+    if (typeof (chunk) != 'string') {
+        chunk = chunk.toString('utf8');
+    }
+
+    lines = (this.tp_partial + chunk).split('\n');
+    this.tp_partial = lines.pop();
+    lines.forEach(this.parseLine, this);
+    setImmediate(callback);
+};
+
+/*
+ * Invoked at the end of input to process any trailing partial line and
+ * complete the last assertion.
+ */
+TapParser.prototype.flushLine = function ()
+{
+    if (this.tp_partial.length > 0) {
+        this.parseLine(this.tp_partial);
+        this.tp_partial = '';
+    }
+
+    this.finishAssertion();
+};
+
+TapParser.prototype.parseLine = function (line)
+{
+    var match, now;
+
+    if (this.tp_indiag) {
+        mod_assertplus.ok(this.tp_pending !== null);
+        if (/^\s+\.\.\.\s*$/.test(line)) {
+            this.tp_indiag = false;
+            this.finishAssertion();
+        } else {
+            this.tp_pending.ta_diag.push(line);
+        }
+        return;
+    }
+
+    if (this.tp_pending !== null && /^\s+---\s*$/.test(line)) {
+        this.tp_indiag = true;
+        return;
+    }
+
+    match = /^(not )?ok (\d+)(?: (.*?))?(?: # (SKIP|TODO)\b.*)?$/.exec(line);
+    if (match !== null) {
+        this.finishAssertion();
+        now = Date.now();
+        this.tp_pending = {
+            'ta_id': parseInt(match[2], 10),
+            'ta_ok': match[1] === undefined,
+            'ta_skip': match[4] == 'SKIP',
+            'ta_test': this.tp_test,
+            'ta_name': match[3] || '',
+            'ta_diag': [],
+            'ta_duration': now - this.tp_last
+        };
+        this.tp_last = now;
+        return;
+    }
+
+    this.finishAssertion();
+
+    match = /^1\.\.(\d+)\s*$/.exec(line);
+    if (match !== null) {
+        this.tp_plan = parseInt(match[1], 10);
+        return;
+    }
+
+    match = /^# server log: (.*)$/.exec(line);
+    if (match !== null) {
+        this.tp_serverlogs.push({
+            'sl_test': this.tp_test,
+            'sl_path': match[1]
+        });
+        return;
+    }
+
+    /*
+     * tape emits the plan just before its summary comments, so any comments
+     * after the plan are not test names.
+     */
+    match = /^# (.*)$/.exec(line);
+    if (match !== null && this.tp_plan === null) {
+        this.tp_test = match[1];
+        this.tp_last = Date.now();
+        this.emit('test', this.tp_test);
+    }
+};
+
+TapParser.prototype.finishAssertion = function ()
+{
+    var ta = this.tp_pending;
+
+    if (ta === null) {
+        return;
+    }
+
+    this.tp_pending = null;
+    this.tp_indiag = false;
+    this.tp_assertions.push(ta);
+    if (ta.ta_skip) {
+        this.tp_nskipped++;
+    } else if (ta.ta_ok) {
+        this.tp_npassed++;
+    } else {
+        this.tp_nfailed++;
+    }
+
+    this.emit('assertion', ta);
+};
+
+/*
+ * Returns true if any TAP output was seen at all.  Some test programs (like
+ * loop.test.js) do not use tape, and we can only judge them by exit status.
+ */
+TapParser.prototype.sawTap = function ()
+{
+    return (this.tp_assertions.length > 0 || this.tp_plan !== null);
+};
+
+/*
+ * Returns true if the output seen so far describes a successful run: no failed
+ * assertions and, if there was a plan, the planned number of assertions.
+ */
+TapParser.prototype.ok = function ()
+{
+    return (this.tp_nfailed === 0 &&
+        (this.tp_plan === null ||
+        this.tp_plan == this.tp_assertions.length));
+};
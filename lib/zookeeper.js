@@ -0,0 +1,819 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2016, Joyent, Inc.
+ */
+
+/*
+ * zookeeper.js: minimal in-process ZooKeeper server
+ *
+ * This server speaks enough of the ZooKeeper client protocol for a client to
+ * read nodes and watch them for changes, which is all that Manatee clients do
+ * with the shard topology (see lib/manatee.js).  The tree lives in memory and
+ * is changed by calling setData() and remove() on the server object, not by
+ * clients: client requests that would modify the tree (and any other requests
+ * not listed below) fail with an "unimplemented" error.  Supported requests:
+ *
+ *     connect, ping, close session, sync, exists, getData, getChildren (and
+ *     getChildren2), and setWatches (which clients send when they reconnect)
+ *
+ * Sessions never expire while the server is running, and a client that
+ * reconnects with a session that the server doesn't know about (for example,
+ * from a previous server) is told that its session has expired.  As with a
+ * real server, watches belong to the connection that set them, and clients
+ * re-establish them with setWatches when they reconnect.  There are no
+ * ephemeral nodes, ACLs, or authentication (authentication requests are
+ * accepted and ignored).
+ */
+
+var mod_assertplus = require('assert-plus');
+var mod_events = require('events');
+var mod_net = require('net');
+var mod_util = require('util');
+var VError = require('verror');
+
+/* exported interface */
+exports.ZooKeeperServer = ZooKeeperServer;
+
+/*
+ * Request types ("opcodes").
+ */
+var ZK_OP_CREATE = 1;
+var ZK_OP_DELETE = 2;
+var ZK_OP_EXISTS = 3;
+var ZK_OP_GET_DATA = 4;
+var ZK_OP_SET_DATA = 5;
+var ZK_OP_GET_CHILDREN = 8;
+var ZK_OP_SYNC = 9;
+var ZK_OP_PING = 11;
+var ZK_OP_GET_CHILDREN2 = 12;
+var ZK_OP_AUTH = 100;
+var ZK_OP_SET_WATCHES = 101;
+var ZK_OP_CLOSE_SESSION = -11;
+
+/*
+ * Transaction ids ("xids") that mark special messages.
+ */
+var ZK_XID_NOTIFICATION = -1;
+
+/*
+ * Error codes sent in reply headers.
+ */
+var ZK_OK = 0;
+var ZK_ERR_UNIMPLEMENTED = -6;
+var ZK_ERR_NO_NODE = -101;
+
+/*
+ * Watch event types and the session state sent with them.
+ */
+var ZK_EVENT_CREATED = 1;
+var ZK_EVENT_DELETED = 2;
+var ZK_EVENT_DATA_CHANGED = 3;
+var ZK_EVENT_CHILDREN_CHANGED = 4;
+var ZK_STATE_SYNC_CONNECTED = 3;
+
+/*
+ * Largest packet we'll accept from a client, in bytes.  Real servers default
+ * to a little under 1MB ("jute.maxbuffer").
+ */
+var ZK_MAX_PACKET = 1024 * 1024;
+
+/*
+ * Length of session passwords, in bytes.  We don't check them, but clients
+ * expect one.
+ */
+var ZK_PASSWD_LEN = 16;
+
+/*
+ * A ZooKeeperServer listens for ZooKeeper clients on a local TCP port.  Named
+ * arguments:
+ *
+ *     port         local port on which to listen (default: any available port)
+ *     [number]
+ *
+ * The tree initially contains only the root node, "/".  Use setData() and
+ * remove() to change it: clients watching the affected nodes are notified as
+ * they would be by a real server.  Call listen() to start accepting
+ * connections and close() to shut down.  The server emits 'clientError' with
+ * an Error when it drops a connection because of a request it can't decode.
+ */
+function ZooKeeperServer(args)
+{
+    mod_assertplus.optionalObject(args, 'args');
+    args = args || {};
+    mod_assertplus.optionalNumber(args.port, 'args.port');
+
+    mod_events.EventEmitter.call(this);
+
+    this.zk_port = args.port || 0;
+    this.zk_zxid = 0;               /* id of the last change to the tree */
+    this.zk_nodes = {};             /* nodes, by path */
+    this.zk_sessions = {};          /* known session ids (as hex strings) */
+    this.zk_nsessions = 0;          /* count of sessions created */
+    this.zk_conns = [];             /* active connections */
+    this.zk_server = mod_net.createServer(this.onConnection.bind(this));
+
+    this.zk_nodes['/'] = newNode(0, bufferAlloc(0));
+}
+
+mod_util.inherits(ZooKeeperServer, mod_events.EventEmitter);
+
+/*
+ * Start listening for connections and invoke callback(err) once ready.
+ */
+ZooKeeperServer.prototype.listen = function (callback)
+{
+    var self = this;
+
+    mod_assertplus.func(callback, 'callback');
+
+    function onError(err) {
+        self.zk_server.removeListener('listening', onListening);
+        callback(err);
+    }
+
+    function onListening() {
+        self.zk_server.removeListener('error', onError);
+        callback(null);
+    }
+
+    this.zk_server.once('error', onError);
+    this.zk_server.once('listening', onListening);
+    this.zk_server.listen(this.zk_port, '127.0.0.1');
+};
+
+/*
+ * Returns the port on which the server is listening.
+ */
+ZooKeeperServer.prototype.port = function ()
+{
+    return (this.zk_server.address().port);
+};
+
+/*
+ * Returns the contents of the node at "path" (as a Buffer), or null if there's
+ * no such node.
+ */
+ZooKeeperServer.prototype.getData = function (path)
+{
+    mod_assertplus.string(path, 'path');
+    return (this.zk_nodes.hasOwnProperty(path) ?
+        this.zk_nodes[path].n_data : null);
+};
+
+/*
+ * Set the contents of the node at "path" to "data" (a Buffer or string),
+ * creating the node (and its parents) if needed.
+ */
+ZooKeeperServer.prototype.setData = function (path, data)
+{
+    var node;
+
+    mod_assertplus.string(path, 'path');
+    assertPath(path);
+    if (typeof (data) == 'string') {
+        data = bufferFrom(data);
+    }
+
+    mod_assertplus.ok(Buffer.isBuffer(data), 'data must be a Buffer or string');
+
+    if (!this.zk_nodes.hasOwnProperty(path)) {
+        this.create(path, data);
+        return;
+    }
+
+    node = this.zk_nodes[path];
+    node.n_data = data;
+    node.n_mzxid = ++this.zk_zxid;
+    node.n_mtime = Date.now();
+    node.n_version++;
+    this.notify(path, 'data', ZK_EVENT_DATA_CHANGED);
+};
+
+ZooKeeperServer.prototype.create = function (path, data)
+{
+    var parentpath, parent;
+
+    parentpath = parentOf(path);
+    if (!this.zk_nodes.hasOwnProperty(parentpath)) {
+        this.create(parentpath, bufferAlloc(0));
+    }
+
+    this.zk_nodes[path] = newNode(++this.zk_zxid, data);
+    parent = this.zk_nodes[parentpath];
+    parent.n_children[basenameOf(path)] = true;
+    parent.n_cversion++;
+    parent.n_pzxid = this.zk_zxid;
+
+    this.notify(path, 'data', ZK_EVENT_CREATED);
+    this.notify(parentpath, 'child', ZK_EVENT_CHILDREN_CHANGED);
+};
+
+/*
+ * Remove the node at "path" and any children it has.  It's not an error if
+ * there's no such node.
+ */
+ZooKeeperServer.prototype.remove = function (path)
+{
+    var self = this;
+    var parentpath, parent;
+
+    mod_assertplus.string(path, 'path');
+    assertPath(path);
+    mod_assertplus.ok(path != '/', 'cannot remove the root node');
+
+    if (!this.zk_nodes.hasOwnProperty(path)) {
+        return;
+    }
+
+    Object.keys(this.zk_nodes[path].n_children).forEach(function (name) {
+        self.remove(path + '/' + name);
+    });
+
+    delete (this.zk_nodes[path]);
+    parentpath = parentOf(path);
+    parent = this.zk_nodes[parentpath];
+    delete (parent.n_children[basenameOf(path)]);
+    parent.n_cversion++;
+    parent.n_pzxid = ++this.zk_zxid;
+
+    this.notify(path, 'data', ZK_EVENT_DELETED);
+    this.notify(path, 'child', ZK_EVENT_DELETED);
+    this.notify(parentpath, 'child', ZK_EVENT_CHILDREN_CHANGED);
+};
+
+/*
+ * Returns the number of connections with a watch on "path" (of any kind).
+ * Tests can use this to check that a client is watching a node.
+ */
+ZooKeeperServer.prototype.watchers = function (path)
+{
+    mod_assertplus.string(path, 'path');
+    return (this.zk_conns.filter(function (conn) {
+        return (conn.zc_watches.data.hasOwnProperty(path) ||
+            conn.zc_watches.child.hasOwnProperty(path));
+    }).length);
+};
+
+/*
+ * Close all client connections without ending their sessions, as happens when
+ * a real server goes away.  Clients should reconnect and re-establish their
+ * watches.
+ */
+ZooKeeperServer.prototype.dropConnections = function ()
+{
+    this.zk_conns.slice(0).forEach(function (conn) {
+        conn.zc_sock.destroy();
+    });
+};
+
+/*
+ * Stop accepting connections, close existing ones, and invoke callback() once
+ * the server has shut down.
+ */
+ZooKeeperServer.prototype.close = function (callback)
+{
+    mod_assertplus.func(callback, 'callback');
+    this.dropConnections();
+    this.zk_server.close(function () { callback(); });
+};
+
+/*
+ * Fire the watches of kind "kind" ("data" or "child") that connections have
+ * set on "path", sending each a notification of type "type".  Watches only
+ * fire once.
+ */
+ZooKeeperServer.prototype.notify = function (path, kind, type)
+{
+    this.zk_conns.forEach(function (conn) {
+        if (conn.zc_watches[kind].hasOwnProperty(path)) {
+            delete (conn.zc_watches[kind][path]);
+            conn.notify(type, path);
+        }
+    });
+};
+
+ZooKeeperServer.prototype.onConnection = function (sock)
+{
+    var self = this;
+    var conn;
+
+    conn = new ZooKeeperConnection(this, sock);
+    this.zk_conns.push(conn);
+    sock.on('close', function () {
+        self.zk_conns.splice(self.zk_conns.indexOf(conn), 1);
+    });
+};
+
+/*
+ * Handle a ConnectRequest, which has fields:
+ *
+ *     protocolVersion (int), lastZxidSeen (long), timeOut (int),
+ *     sessionId (long), passwd (buffer), and optionally readOnly (bool)
+ *
+ * and return the body of the ConnectResponse.
+ */
+ZooKeeperServer.prototype.connect = function (req)
+{
+    var rsp, timeout, sessionid, key;
+
+    req.readInt();
+    req.readLong();
+    timeout = req.readInt();
+    sessionid = req.readBytes(8);
+    req.readBuffer();
+
+    key = sessionid.toString('hex');
+    if (key == '0000000000000000') {
+        sessionid = bufferAlloc(8);
+        sessionid.writeUInt32BE(0x5ca1ab1e, 0);
+        sessionid.writeUInt32BE(++this.zk_nsessions, 4);
+        key = sessionid.toString('hex');
+        this.zk_sessions[key] = true;
+    } else if (!this.zk_sessions.hasOwnProperty(key)) {
+        /*
+         * A zero timeout and session id tell the client that its session has
+         * expired.
+         */
+        timeout = 0;
+        sessionid = bufferAlloc(8);
+    }
+
+    rsp = new ZooKeeperWriter();
+    rsp.writeInt(0);
+    rsp.writeInt(timeout);
+    rsp.writeBytes(sessionid);
+    rsp.writeBuffer(bufferAlloc(ZK_PASSWD_LEN));
+    if (req.remaining() > 0) {
+        rsp.writeBool(false);
+    }
+
+    return ({ 'body': rsp, 'sessionid': timeout === 0 ? null : key });
+};
+
+/*
+ * A ZooKeeperConnection handles the requests from one client connection.
+ */
+function ZooKeeperConnection(server, sock)
+{
+    this.zc_server = server;
+    this.zc_sock = sock;
+    this.zc_buffer = null;          /* unparsed data */
+    this.zc_session = undefined;    /* session id, once connected */
+    this.zc_watches = {
+        'data': {},                 /* getData() and exists() watches */
+        'child': {}                 /* getChildren() watches */
+    };
+
+    sock.on('data', this.onData.bind(this));
+    sock.on('error', function () {
+        /* Clients may close their connections at any time. */
+    });
+}
+
+ZooKeeperConnection.prototype.onData = function (chunk)
+{
+    var buf, len, packet;
+
+    buf = this.zc_buffer === null ? chunk :
+        Buffer.concat([ this.zc_buffer, chunk ]);
+    while (buf.length >= 4) {
+        len = buf.readInt32BE(0);
+        if (len < 0 || len > ZK_MAX_PACKET) {
+            this.zc_sock.destroy();
+            return;
+        }
+
+        if (buf.length < 4 + len) {
+            break;
+        }
+
+        packet = new ZooKeeperReader(buf.slice(4, 4 + len));
+        buf = buf.slice(4 + len);
+        try {
+            this.onPacket(packet);
+        } catch (ex) {
+            /*
+             * This is either a malformed request or a bug.  Either way, a
+             * real server would drop the connection.
+             */
+            this.zc_sock.destroy();
+            this.zc_server.emit('clientError', ex);
+            return;
+        }
+    }
+
+    this.zc_buffer = buf;
+};
+
+ZooKeeperConnection.prototype.onPacket = function (req)
+{
+    var rv, xid, type, rsp;
+
+    if (this.zc_session === undefined) {
+        rv = this.zc_server.connect(req);
+        this.zc_session = rv.sessionid;
+        this.send(rv.body);
+        if (rv.sessionid === null) {
+            this.zc_sock.end();
+        }
+        return;
+    }
+
+    xid = req.readInt();
+    type = req.readInt();
+    switch (type) {
+    case ZK_OP_PING:
+    case ZK_OP_AUTH:
+        this.reply(xid, ZK_OK, null);
+        break;
+
+    case ZK_OP_CLOSE_SESSION:
+        delete (this.zc_server.zk_sessions[this.zc_session]);
+        this.reply(xid, ZK_OK, null);
+        this.zc_sock.end();
+        break;
+
+    case ZK_OP_SYNC:
+        rsp = new ZooKeeperWriter();
+        rsp.writeString(req.readString());
+        this.reply(xid, ZK_OK, rsp);
+        break;
+
+    case ZK_OP_EXISTS:
+    case ZK_OP_GET_DATA:
+    case ZK_OP_GET_CHILDREN:
+    case ZK_OP_GET_CHILDREN2:
+        this.read(xid, type, req.readString(), req.readBool());
+        break;
+
+    case ZK_OP_SET_WATCHES:
+        this.setWatches(req);
+        this.reply(xid, ZK_OK, null);
+        break;
+
+    case ZK_OP_CREATE:
+    case ZK_OP_DELETE:
+    case ZK_OP_SET_DATA:
+    default:
+        this.reply(xid, ZK_ERR_UNIMPLEMENTED, null);
+        break;
+    }
+};
+
+/*
+ * Handle the requests that read a node: exists, getData, getChildren, and
+ * getChildren2.
+ */
+ZooKeeperConnection.prototype.read = function (xid, type, path, watch)
+{
+    var node, rsp;
+
+    node = this.zc_server.zk_nodes.hasOwnProperty(path) ?
+        this.zc_server.zk_nodes[path] : null;
+
+    if (node === null) {
+        /*
+         * Only exists() may set a watch on a node that doesn't exist, which
+         * fires when the node is created.
+         */
+        if (watch && type == ZK_OP_EXISTS) {
+            this.zc_watches.data[path] = true;
+        }
+
+        this.reply(xid, ZK_ERR_NO_NODE, null);
+        return;
+    }
+
+    if (watch) {
+        this.zc_watches[type == ZK_OP_EXISTS || type == ZK_OP_GET_DATA ?
+            'data' : 'child'][path] = true;
+    }
+
+    rsp = new ZooKeeperWriter();
+    if (type == ZK_OP_GET_DATA) {
+        rsp.writeBuffer(node.n_data);
+    } else if (type != ZK_OP_EXISTS) {
+        rsp.writeStrings(Object.keys(node.n_children).sort());
+    }
+
+    if (type != ZK_OP_GET_CHILDREN) {
+        writeStat(rsp, node);
+    }
+
+    this.reply(xid, ZK_OK, rsp);
+};
+
+/*
+ * Handle a SetWatches request, which has fields:
+ *
+ *     relativeZxid (long), dataWatches, existWatches, and childWatches (each
+ *     a vector of strings)
+ *
+ * A client sends this when it reconnects so that the watches it had set on its
+ * previous connection remain in effect.  Any watches that would have fired
+ * since the client last heard from a server (as of "relativeZxid") fire right
+ * away.
+ */
+ZooKeeperConnection.prototype.setWatches = function (req)
+{
+    var self = this;
+    var nodes = this.zc_server.zk_nodes;
+    var relzxid, datawatches, existwatches, childwatches;
+
+    relzxid = req.readLong();
+    datawatches = req.readStrings();
+    existwatches = req.readStrings();
+    childwatches = req.readStrings();
+
+    datawatches.forEach(function (path) {
+        if (!nodes.hasOwnProperty(path)) {
+            self.notify(ZK_EVENT_DELETED, path);
+        } else if (nodes[path].n_mzxid > relzxid) {
+            self.notify(ZK_EVENT_DATA_CHANGED, path);
+        } else {
+            self.zc_watches.data[path] = true;
+        }
+    });
+
+    existwatches.forEach(function (path) {
+        if (nodes.hasOwnProperty(path)) {
+            self.notify(ZK_EVENT_CREATED, path);
+        } else {
+            self.zc_watches.data[path] = true;
+        }
+    });
+
+    childwatches.forEach(function (path) {
+        if (!nodes.hasOwnProperty(path)) {
+            self.notify(ZK_EVENT_DELETED, path);
+        } else if (nodes[path].n_pzxid > relzxid) {
+            self.notify(ZK_EVENT_CHILDREN_CHANGED, path);
+        } else {
+            self.zc_watches.child[path] = true;
+        }
+    });
+};
+
+/*
+ * Send a reply to request "xid" with error code "err" and the given body
+ * (which may be null).
+ */
+ZooKeeperConnection.prototype.reply = function (xid, err, body)
+{
+    var msg = new ZooKeeperWriter();
+
+    msg.writeInt(xid);
+    msg.writeLong(this.zc_server.zk_zxid);
+    msg.writeInt(err);
+    if (body !== null) {
+        msg.writeBytes(body.toBuffer());
+    }
+
+    this.send(msg);
+};
+
+/*
+ * Send a watch notification of type "type" for "path".
+ */
+ZooKeeperConnection.prototype.notify = function (type, path)
+{
+    var msg = new ZooKeeperWriter();
+
+    msg.writeInt(ZK_XID_NOTIFICATION);
+    msg.writeLong(-1);
+    msg.writeInt(ZK_OK);
+    msg.writeInt(type);
+    msg.writeInt(ZK_STATE_SYNC_CONNECTED);
+    msg.writeString(path);
+    this.send(msg);
+};
+
+ZooKeeperConnection.prototype.send = function (writer)
+{
+    var body, len;
+
+    body = writer.toBuffer();
+    len = bufferAlloc(4);
+    len.writeInt32BE(body.length, 0);
+    this.zc_sock.write(Buffer.concat([ len, body ]));
+};
+
+/*
+ * ZooKeeperReader and ZooKeeperWriter decode and encode the primitive types of
+ * the ZooKeeper protocol ("jute"): big-endian 32-bit ints and 64-bit longs,
+ * one-byte booleans, and strings and buffers (and vectors of strings) prefixed
+ * with their length as an int.  A length of -1 denotes null.
+ */
+function ZooKeeperReader(buf)
+{
+    this.zr_buf = buf;
+    this.zr_off = 0;
+}
+
+ZooKeeperReader.prototype.remaining = function ()
+{
+    return (this.zr_buf.length - this.zr_off);
+};
+
+ZooKeeperReader.prototype.readBytes = function (len)
+{
+    var rv;
+
+    if (len > this.remaining()) {
+        throw (new VError('truncated packet (wanted %d bytes, found %d)',
+            len, this.remaining()));
+    }
+
+    rv = this.zr_buf.slice(this.zr_off, this.zr_off + len);
+    this.zr_off += len;
+    return (rv);
+};
+
+ZooKeeperReader.prototype.readInt = function ()
+{
+    return (this.readBytes(4).readInt32BE(0));
+};
+
+ZooKeeperReader.prototype.readLong = function ()
+{
+    var buf = this.readBytes(8);
+
+    /* Values we care about (zxids) fit in a double. */
+    return (buf.readInt32BE(0) * 0x100000000 + buf.readUInt32BE(4));
+};
+
+ZooKeeperReader.prototype.readBool = function ()
+{
+    return (this.readBytes(1)[0] !== 0);
+};
+
+ZooKeeperReader.prototype.readBuffer = function ()
+{
+    var len = this.readInt();
+    return (len < 0 ? null : this.readBytes(len));
+};
+
+ZooKeeperReader.prototype.readString = function ()
+{
+    var buf = this.readBuffer();
+    return (buf === null ? null : buf.toString('utf8'));
+};
+
+ZooKeeperReader.prototype.readStrings = function ()
+{
+    var count = this.readInt();
+    var rv = [];
+
+    while (rv.length < count) {
+        rv.push(this.readString());
+    }
+
+    return (rv);
+};
+
+function ZooKeeperWriter()
+{
+    this.zw_chunks = [];
+}
+
+ZooKeeperWriter.prototype.toBuffer = function ()
+{
+    return (Buffer.concat(this.zw_chunks));
+};
+
+ZooKeeperWriter.prototype.writeBytes = function (buf)
+{
+    this.zw_chunks.push(buf);
+};
+
+ZooKeeperWriter.prototype.writeInt = function (value)
+{
+    var buf = bufferAlloc(4);
+    buf.writeInt32BE(value, 0);
+    this.writeBytes(buf);
+};
+
+ZooKeeperWriter.prototype.writeLong = function (value)
+{
+    var buf = bufferAlloc(8);
+    var high = Math.floor(value / 0x100000000);
+
+    buf.writeInt32BE(high, 0);
+    buf.writeUInt32BE(value - high * 0x100000000, 4);
+    this.writeBytes(buf);
+};
+
+ZooKeeperWriter.prototype.writeBool = function (value)
+{
+    this.writeBytes(bufferFrom([ value ? 1 : 0 ]));
+};
+
+ZooKeeperWriter.prototype.writeBuffer = function (buf)
+{
+    this.writeInt(buf.length);
+    this.writeBytes(buf);
+};
+
+ZooKeeperWriter.prototype.writeString = function (str)
+{
+    this.writeBuffer(bufferFrom(str));
+};
+
+ZooKeeperWriter.prototype.writeStrings = function (strs)
+{
+    var self = this;
+
+    this.writeInt(strs.length);
+    strs.forEach(function (str) {
+        self.writeString(str);
+    });
+};
+
+/*
+ * Write the Stat structure for "node", which has fields:
+ *
+ *     czxid, mzxid, ctime, mtime (longs), version, cversion, aversion (ints),
+ *     ephemeralOwner (long), dataLength, numChildren (ints), and pzxid (long)
+ */
+function writeStat(writer, node)
+{
+    writer.writeLong(node.n_czxid);
+    writer.writeLong(node.n_mzxid);
+    writer.writeLong(node.n_ctime);
+    writer.writeLong(node.n_mtime);
+    writer.writeInt(node.n_version);
+    writer.writeInt(node.n_cversion);
+    writer.writeInt(0);
+    writer.writeLong(0);
+    writer.writeInt(node.n_data.length);
+    writer.writeInt(Object.keys(node.n_children).length);
+    writer.writeLong(node.n_pzxid);
+}
+
+function newNode(zxid, data)
+{
+    var now = Date.now();
+
+    return ({
+        'n_data': data,
+        'n_children': {},
+        'n_czxid': zxid,
+        'n_mzxid': zxid,
+        'n_pzxid': zxid,
+        'n_ctime': now,
+        'n_mtime': now,
+        'n_version': 0,
+        'n_cversion': 0
+    });
+}
+
+/*
+ * Buffer.alloc() and Buffer.from() replace the Buffer constructor in newer
+ * versions of Node, but older ones only have the constructor.  (Early v4
+ * releases have a Buffer.from() inherited from Uint8Array, which doesn't
+ * handle strings.)
+ */
+function bufferAlloc(len)
+{
+    var buf;
+
+    if (typeof (Buffer.alloc) == 'function') {
+        return (Buffer.alloc(len));
+    }
+
+    buf = new Buffer(len);
+    buf.fill(0);
+    return (buf);
+}
+
+function bufferFrom(value)
+{
+    if (typeof (Buffer.from) == 'function' && Buffer.from !== Uint8Array.from) {
+        return (Buffer.from(value, 'utf8'));
+    }
+
+    return (new Buffer(value, 'utf8'));
+}
+
+function assertPath(path)
+{
+    mod_assertplus.ok(path == '/' ||
+        (path.charAt(0) == '/' && path.charAt(path.length - 1) != '/' &&
+        path.indexOf('//') == -1), 'invalid path: "' + path + '"');
+}
+
+function parentOf(path)
+{
+    var i = path.lastIndexOf('/');
+    return (i === 0 ? '/' : path.substr(0, i));
+}
+
+function basenameOf(path)
+{
+    return (path.substr(path.lastIndexOf('/') + 1));
+}
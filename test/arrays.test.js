@@ -9,11 +9,10 @@
  */
 
 var once = require('once');
-var tape = require('tape');
 var libuuid = require('libuuid');
 var vasync = require('vasync');
 
-var helper = require('./helper.js');
+var harness = require('../lib/harness');
 
 
 
@@ -25,36 +24,16 @@ var uuid = {
 };
 
 var c; // client
-var server;
 var b; // bucket
 
-function test(name, setup) {
-    tape.test(name + ' - setup', function (t) {
-        b = 'moray_unit_test_' + uuid.v4().substr(0, 7);
-        helper.createServer(null, function (s) {
-            server = s;
-            c = helper.createClient();
-            c.on('connect', t.end.bind(t));
-        });
-    });
-
-    tape.test(name + ' - main', function (t) {
-        setup(t);
-    });
-
-    tape.test(name + ' - teardown', function (t) {
-    // May or may not exist, just blindly ignore
-        c.delBucket(b, function () {
-            c.once('close', function () {
-                helper.cleanupServer(server, function () {
-                    t.pass('closed');
-                    t.end();
-                });
-            });
-            c.close();
-        });
-    });
-}
+var test = harness.createTestFunction({
+    'bucket': true,
+    'setup': function (fixtures, callback) {
+        c = fixtures.client;
+        b = fixtures.bucket;
+        callback();
+    }
+});
 
 ///--- Tests
 
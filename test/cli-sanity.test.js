@@ -94,7 +94,8 @@ function runCmd(argv, callback)
         forkexec_args.env['MORAY_URL'] = process.env[
             'MORAY_TEST_SERVER_REMOTE'];
     } else {
-        forkexec_args.env['MORAY_URL'] = 'tcp://127.0.0.1:2020';
+        forkexec_args.env['MORAY_URL'] = 'tcp://127.0.0.1:' +
+            helper.serverPort(0);
     }
 
     forkexec.forkExecWait(forkexec_args, callback);
@@ -111,9 +112,14 @@ function runNormalSequence(t)
 
     funcs = [
         function setupServer(_, callback) {
-            helper.createServer({}, function (s) {
+            helper.createServer({
+                'logName': 'cli-sanity'
+            }, function (err, s) {
                 server = s;
-                callback();
+                if (!err && s.ts_log) {
+                    t.comment('server log: ' + s.ts_log);
+                }
+                callback(err);
             });
         },
 
@@ -305,6 +311,11 @@ function runNormalSequence(t)
         'funcs': funcs
     }, function (err) {
         t.error(err, 'no error');
+        if (server === undefined) {
+            t.end();
+            return;
+        }
+
         helper.cleanupServer(server, function () {
             t.end();
         });
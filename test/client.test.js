@@ -13,44 +13,27 @@
  * RPC calls).
  */
 
-var tape = require('tape');
 var uuid = require('libuuid').create;
 var vasync = require('vasync');
+var capabilities = require('../lib/capabilities');
+var harness = require('../lib/harness');
 var helper = require('./helper.js');
 var VError = require('verror');
 
-var server;
-
-function test(name, setup) {
-    tape.test(name + ' - setup', function (t) {
-        helper.createServer(null, function (s) {
-            server = s;
-            t.end();
-        });
-    });
-
-    tape.test(name + ' - main', function (t) {
-        setup(t);
-    });
-
-    tape.test(name + ' - teardown', function (t) {
-        helper.cleanupServer(server, function () {
-            t.pass('closed');
-            t.end();
-        });
-    });
-}
+var test = harness.createTestFunction({
+    'client': false
+});
 
 /*
  * Check whether "err" is either a legacy error or has a cause of name
- * "errname".  Versions prior to node-moray2 did not provide wrapped errors.  If
- * there's no cause here, we won't bother trying to check anything other than
- * that this is a real error.  If there is a cause, it should be the one that
- * the caller expected.
+ * "errname".  Versions prior to node-moray2 did not provide wrapped errors, so
+ * for those we won't bother trying to check anything other than that this is a
+ * real error.  Otherwise, the error should have the cause that the caller
+ * expected.
  */
 function checkMaybeLegacyError(t, err, errname) {
     t.ok(err instanceof Error, 'got an error');
-    if (VError.cause(err) !== null) {
+    if (capabilities.checkClient('wrappedErrors') === null) {
         err = VError.findCauseByName(err, errname);
         t.notStrictEqual(err, null, 'expect a ' + errname + ' error');
     }
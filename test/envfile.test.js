@@ -0,0 +1,220 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2016, Joyent, Inc.
+ */
+
+/*
+ * envfile.test.js: tests for writing environment files and reading them back.
+ * These tests don't need a Moray server.
+ */
+
+var forkexec = require('forkexec');
+var tape = require('tape');
+
+var envfile = require('../lib/envfile');
+
+/*
+ * Variables to round-trip, chosen to include every character that's special
+ * in at least one of the formats.  Variables whose names end in "PATH" are
+ * written differently for fish.
+ */
+var testVars = [ {
+    'name': 'PLAIN',
+    'value': 'hello world',
+    'comment': 'A comment long enough that readable() wraps it across ' +
+        'several lines, which parseEnvironment() should join back together.'
+}, {
+    'name': 'SINGLE_QUOTE',
+    'value': 'it\'s \'quoted\''
+}, {
+    'name': 'DOUBLE_QUOTE',
+    'value': 'say "hi"'
+}, {
+    'name': 'BACKSLASH',
+    'value': 'C:\\dir\\ \\n \\\\ \\'
+}, {
+    'name': 'DOLLAR',
+    'value': '$HOME ${HOME} $(echo no) $'
+}, {
+    'name': 'BACKQUOTE',
+    'value': '`echo no` `'
+}, {
+    'name': 'NEWLINE',
+    'value': 'line one\nline two\n# not a comment\nexport NOT_A_VAR=1\n'
+}, {
+    'name': 'CARRIAGE_RETURN',
+    'value': 'before\rafter\r\n'
+}, {
+    'name': 'EMPTY',
+    'value': ''
+}, {
+    'name': 'EVERYTHING',
+    'value': '\'"\\$`\n\r#;&|<>*?~ \t'
+}, {
+    'name': 'MANPATH',
+    'value': '/usr/share/man:/opt/it\'s here/man:'
+}, {
+    'name': 'EMPTY_PATH',
+    'value': ''
+}, {
+    'name': 'ODD_PATH',
+    'value': 'a\\b:$c:`d`:"e"\nf'
+} ];
+
+/*
+ * Invalid files for each format, and the error each should produce.
+ */
+var badFiles = {
+    'sh': [
+        [ 'export FOO=\'bar\n', /unterminated string/ ],
+        [ 'export FOO=\'bar\'baz\n', /unexpected text after value/ ],
+        [ 'export FOO=\'bar\' \n', /unexpected text after value/ ],
+        [ 'FOO=\'bar\'\n', /expected "export NAME=VALUE"/ ]
+    ],
+    'fish': [
+        [ 'set -gx FOO \'bar\n', /unterminated string/ ],
+        [ 'set -gx FOO \'bar\\\'\n', /unterminated string/ ],
+        [ 'set -gx FOO \'bar\' baz\n', /unexpected text after value/ ],
+        [ 'set -gx FOO_PATH (string split \':\' -- \'a:b\'\n',
+            /expected "\)"/ ]
+    ],
+    'dotenv': [
+        [ 'FOO=\'bar\n', /unterminated string/ ],
+        [ 'FOO="bar\\"\n', /unterminated string/ ],
+        [ 'FOO=\'bar\'baz\n', /unexpected text after value/ ],
+        [ 'FOO="bar" # comment\n', /unexpected text after value/ ]
+    ],
+    'json': [
+        [ '[ "FOO", "bar" ]', /expected an object/ ],
+        [ '"FOO=bar"', /expected an object/ ],
+        [ 'null', /expected an object/ ],
+        [ '42', /expected an object/ ],
+        [ '{ "FOO": 42 }', /bad value for "FOO"/ ],
+        [ '{ "FOO": "bar"', /parse environment/ ]
+    ]
+};
+
+function main()
+{
+    envfile.envFormats().forEach(function (format) {
+        tape.test('envfile: round trip (' + format + ')', function (t) {
+            testRoundTrip(t, format);
+        });
+
+        tape.test('envfile: parse errors (' + format + ')', function (t) {
+            badFiles[format].forEach(function (bad) {
+                t.throws(function () {
+                    envfile.parseEnvironment(bad[0], format);
+                }, bad[1], JSON.stringify(bad[0]));
+            });
+            t.end();
+        });
+    });
+
+    tape.test('envfile: sh output sourced by /bin/sh', testShell);
+}
+
+/*
+ * Returns an Environment with the variables in "testVars".
+ */
+function makeEnvironment()
+{
+    var env = new envfile.Environment();
+
+    testVars.forEach(function (v) {
+        env.setVar(v);
+    });
+
+    return (env);
+}
+
+/*
+ * Invoke callback(contents) with the contents of "env" in "format".
+ */
+function readAll(env, format, callback)
+{
+    var stream = env.readable(format);
+    var contents = '';
+
+    stream.on('data', function (chunk) {
+        contents += chunk.toString('utf8');
+    });
+
+    stream.on('end', function () {
+        callback(contents);
+    });
+}
+
+function testRoundTrip(t, format)
+{
+    readAll(makeEnvironment(), format, function (contents) {
+        var parsed;
+
+        try {
+            parsed = envfile.parseEnvironment(contents, format);
+        } catch (ex) {
+            t.ifError(ex, 'parse ' + format + ' output');
+            t.comment(contents);
+            t.end();
+            return;
+        }
+
+        t.deepEqual(parsed.names(), testVars.map(function (v) {
+            return (v.name);
+        }), 'variable names');
+
+        testVars.forEach(function (v) {
+            var evar = parsed.getVar(v.name);
+
+            t.strictEqual(evar.value, v.value, v.name + ' value');
+            if (format != 'json') {
+                t.strictEqual(evar.comment, v.comment || null,
+                    v.name + ' comment');
+            }
+        });
+
+        t.end();
+    });
+}
+
+/*
+ * Have /bin/sh source the "sh" output and check that the shell sees the same
+ * values.  The shell then runs Node to print its environment as JSON, since
+ * the values may contain newlines.
+ */
+function testShell(t)
+{
+    readAll(makeEnvironment(), 'sh', function (contents) {
+        forkexec.forkExecWait({
+            'argv': [ '/bin/sh', '-c',
+                'eval "$1" && exec "$2" -e ' +
+                '"process.stdout.write(JSON.stringify(process.env))"',
+                'sh', contents, process.execPath ],
+            'env': { 'PATH': process.env['PATH'] },
+            'timeout': 60000
+        }, function (err, info) {
+            var childenv;
+
+            t.ifError(err, 'source sh output');
+            if (err) {
+                t.comment(info.stderr);
+                t.end();
+                return;
+            }
+
+            childenv = JSON.parse(info.stdout);
+            testVars.forEach(function (v) {
+                t.strictEqual(childenv[v.name], v.value, v.name + ' value');
+            });
+
+            t.end();
+        });
+    });
+}
+
+main();
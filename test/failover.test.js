@@ -0,0 +1,383 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2016, Joyent, Inc.
+ */
+
+/*
+ * failover.test.js: test client and server behavior when the Manatee primary
+ * changes, or the shard has no peers left, in the middle of a workload (using
+ * the stand-in shard from lib/manatee.js)
+ */
+
+var VError = require('verror');
+
+var harness = require('../lib/harness');
+var helper = require('./helper.js');
+var manatee = require('../lib/manatee');
+var postgres = require('../lib/postgres');
+
+/* interval between queries in the workload (in milliseconds) */
+var QUERY_INTERVAL = 100;
+
+/* how long the server may take to recover (in milliseconds) */
+var RECOVERY_TIMEOUT = 30000;
+
+/* how long the server may take to report that the database is unavailable */
+var FAILURE_TIMEOUT = 10000;
+
+/* how long the server may take to start watching the topology */
+var WATCH_TIMEOUT = 10000;
+
+var shard, server, client, workload;
+
+/*
+ * Each test case gets a fresh stand-in shard and a server (and client) of its
+ * own that finds its database through the shard's topology.
+ */
+var test = harness.createTestFunction({
+    'server': false,
+    'client': false,
+    'skip': skipReason,
+    'setup': function (fixtures, callback) {
+        shard = undefined;
+        server = undefined;
+        client = undefined;
+        workload = undefined;
+        if (skipReason() !== null) {
+            callback();
+            return;
+        }
+
+        shard = manatee.createStandIn(process.env);
+        shard.listen(function (err) {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            helper.createServer({
+                'configPatch': function (config) {
+                    return (shard.configPatch(config));
+                },
+                'logName': 'failover'
+            }, function (err2, s) {
+                if (err2) {
+                    callback(err2);
+                    return;
+                }
+
+                server = s;
+                client = helper.createClient({
+                    'server': server,
+                    'retry': { 'minTimeout': 100, 'maxTimeout': 500 }
+                });
+                client.once('connect', function () { callback(); });
+            });
+        });
+    },
+    'teardown': function (fixtures, callback) {
+        if (workload !== undefined) {
+            workload.stop(function () { closeAll(callback); });
+        } else {
+            closeAll(callback);
+        }
+    }
+});
+
+function skipReason() {
+    if (!helper.localServersSupported()) {
+        return ('requires servers started by the test suite');
+    }
+
+    if (postgres.clustersFromEnvironment(process.env).length < 2) {
+        return ('requires at least two private Postgres clusters (see ' +
+            '"server.postgres.instances")');
+    }
+
+    return (null);
+}
+
+function closeAll(callback) {
+    if (client !== undefined) {
+        client.once('close', function () {
+            client = undefined;
+            closeAll(callback);
+        });
+        client.close();
+        return;
+    }
+
+    if (server !== undefined) {
+        helper.cleanupServer(server, function () {
+            server = undefined;
+            closeAll(callback);
+        });
+        return;
+    }
+
+    if (shard !== undefined) {
+        shard.close(callback);
+        return;
+    }
+
+    callback();
+}
+
+/*
+ * A Workload issues a trivial query (which has to reach the database) every
+ * QUERY_INTERVAL milliseconds and records the outcome of each one, with
+ * properties "start" and "end" (as from Date.now()) and "error" (null if the
+ * query succeeded).
+ */
+function Workload(c) {
+    this.w_client = c;
+    this.w_outcomes = [];
+    this.w_pending = 0;
+    this.w_timer = null;
+    this.w_stopped = null;      /* callback for stop(), once called */
+}
+
+Workload.prototype.start = function () {
+    var self = this;
+
+    this.w_timer = setInterval(function () { self.query(); }, QUERY_INTERVAL);
+    this.query();
+};
+
+Workload.prototype.query = function () {
+    var self = this;
+    var outcome, req;
+
+    outcome = { 'start': Date.now(), 'end': null, 'error': null };
+    this.w_pending++;
+    req = this.w_client.sql('SELECT 1 AS one', [], {});
+    req.on('record', function () {});
+    req.on('error', function (err) {
+        outcome.error = err;
+        done();
+    });
+    req.on('end', done);
+
+    function done() {
+        if (outcome.end !== null) {
+            return;
+        }
+
+        outcome.end = Date.now();
+        self.w_outcomes.push(outcome);
+        if (--self.w_pending === 0 && self.w_stopped !== null) {
+            self.w_stopped();
+        }
+    }
+};
+
+/*
+ * Wait up to "timeout" milliseconds for a query that started at or after
+ * "since" to have an outcome for which "predicate" (one of the functions
+ * below) returns true, and invoke callback(err, outcome) with the first such
+ * query.
+ */
+Workload.prototype.waitFor = function (since, predicate, timeout, callback) {
+    var self = this;
+    var deadline = Date.now() + timeout;
+
+    function check() {
+        var found = null;
+        var i;
+
+        for (i = 0; i < self.w_outcomes.length; i++) {
+            if (self.w_outcomes[i].start >= since &&
+                predicate(self.w_outcomes[i])) {
+                found = self.w_outcomes[i];
+                break;
+            }
+        }
+
+        if (found !== null) {
+            callback(null, found);
+        } else if (Date.now() > deadline) {
+            callback(new VError('no query %s within %dms',
+                predicate.description, timeout));
+        } else {
+            setTimeout(check, QUERY_INTERVAL);
+        }
+    }
+
+    check();
+};
+
+/*
+ * Returns the queries that started at or after "since" and failed.
+ */
+Workload.prototype.failures = function (since) {
+    return (this.w_outcomes.filter(function (outcome) {
+        return (outcome.start >= since && outcome.error !== null);
+    }));
+};
+
+/*
+ * Stop issuing queries and invoke callback() once the outstanding ones have
+ * completed.
+ */
+Workload.prototype.stop = function (callback) {
+    clearInterval(this.w_timer);
+    if (this.w_pending === 0) {
+        setImmediate(callback);
+    } else {
+        this.w_stopped = callback;
+    }
+};
+
+/*
+ * Predicates for Workload.waitFor().  When the server cannot reach any peer of
+ * the shard, it should say so with a NoDatabasePeersError (rather than, say,
+ * hanging until the client gives up).  Some queries may fail in other ways as
+ * the server's connections are closed, but eventually they should all fail
+ * this way.
+ */
+function succeeded(outcome) {
+    return (outcome.error === null);
+}
+succeeded.description = 'succeeded';
+
+function failedUnavailable(outcome) {
+    return (outcome.error !== null && VError.findCauseByName(
+        outcome.error, 'NoDatabasePeersError') !== null);
+}
+failedUnavailable.description = 'failed with NoDatabasePeersError';
+
+/*
+ * Report the errors seen by queries that started at or after "since", grouped
+ * by error name, so that the output shows what the client saw.
+ */
+function reportFailures(t, since) {
+    var counts = {};
+
+    workload.failures(since).forEach(function (outcome) {
+        var name = outcome.error.name;
+        counts[name] = (counts[name] || 0) + 1;
+    });
+
+    Object.keys(counts).forEach(function (name) {
+        t.comment(counts[name] + ' queries failed with ' + name);
+    });
+}
+
+/*
+ * Wait up to WATCH_TIMEOUT milliseconds for the server to watch the shard's
+ * topology, and invoke callback(err).  If the server never does, it isn't
+ * using the stand-in, and the rest of the test would be meaningless.
+ */
+function waitForWatch(callback) {
+    var deadline = Date.now() + WATCH_TIMEOUT;
+
+    function check() {
+        if (shard.watchers() > 0) {
+            callback(null);
+        } else if (Date.now() > deadline) {
+            callback(new VError('server did not watch "%s" within %dms',
+                shard.statePath(), WATCH_TIMEOUT));
+        } else {
+            setTimeout(check, QUERY_INTERVAL);
+        }
+    }
+
+    check();
+}
+
+test('failover: primary switch during workload', function (t) {
+    var before, since;
+
+    waitForWatch(function (err0) {
+        t.ifError(err0, 'server is watching the topology');
+        if (err0) {
+            t.end();
+            return;
+        }
+
+        workload = new Workload(client);
+        workload.start();
+        workload.waitFor(0, succeeded, RECOVERY_TIMEOUT, function (err) {
+            t.ifError(err, 'query succeeded before switch');
+            t.ok(shard.connections(0) > 0, 'server connected to primary');
+
+            before = shard.connections(1);
+            since = Date.now();
+            shard.switchPrimary(1);
+            t.equal(shard.state().primary, 1, 'primary switched');
+            t.equal(shard.state().generation, 1, 'generation incremented');
+
+            workload.waitFor(since, succeeded, RECOVERY_TIMEOUT,
+                function (err2, outcome) {
+                t.ifError(err2, 'query succeeded after switch');
+                if (!err2) {
+                    t.comment('recovered ' + (outcome.end - since) + 'ms ' +
+                        'after switch');
+                }
+
+                t.ok(shard.connections(1) > before,
+                    'server connected to new primary');
+                reportFailures(t, since);
+                workload.stop(function () {
+                    workload = undefined;
+                    t.end();
+                });
+            });
+        });
+    });
+});
+
+test('failover: no peers during workload', function (t) {
+    var since, restored;
+
+    waitForWatch(function (err0) {
+        t.ifError(err0, 'server is watching the topology');
+        if (err0) {
+            t.end();
+            return;
+        }
+
+        workload = new Workload(client);
+        workload.start();
+        workload.waitFor(0, succeeded, RECOVERY_TIMEOUT, function (err) {
+            t.ifError(err, 'query succeeded before peers went away');
+
+            since = Date.now();
+            shard.noPeers();
+            t.equal(shard.state().reachable, false, 'peers unreachable');
+
+            workload.waitFor(since, failedUnavailable, FAILURE_TIMEOUT,
+                function (err2, outcome) {
+                t.ifError(err2, 'query failed with NoDatabasePeersError');
+                if (!err2) {
+                    t.comment('query failed ' + (outcome.end - since) +
+                        'ms after peers went away: ' +
+                        outcome.error.message);
+                }
+
+                restored = Date.now();
+                shard.restorePeers();
+                workload.waitFor(restored, succeeded, RECOVERY_TIMEOUT,
+                    function (err3, outcome2) {
+                    t.ifError(err3, 'query succeeded once peers returned');
+                    if (!err3) {
+                        t.comment('recovered ' +
+                            (outcome2.end - restored) + 'ms after peers ' +
+                            'returned');
+                    }
+
+                    reportFailures(t, since);
+                    workload.stop(function () {
+                        workload = undefined;
+                        t.end();
+                    });
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,157 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2016, Joyent, Inc.
+ */
+
+/*
+ * fakeserver.test.js: test client behavior against a scripted fake server.
+ * These tests don't need a real Moray server or database.
+ */
+
+var VError = require('verror');
+var capabilities = require('../lib/capabilities');
+var FakeServer = require('../lib/fakeserver').FakeServer;
+var harness = require('../lib/harness');
+var helper = require('./helper.js');
+
+var server, client;
+
+var test = harness.createTestFunction({
+    'server': false,
+    'client': false,
+    'requires': [ 'fastServer' ],
+    'setup': function (fixtures, callback) {
+        /*
+         * Setup runs before "requires" is checked, so don't try to create the
+         * fake server if the test case is going to be skipped.
+         */
+        if (capabilities.checkClient('fastServer') !== null) {
+            callback();
+            return;
+        }
+
+        server = new FakeServer();
+        server.listen(function (err) {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            client = helper.createClient({ 'port': server.port() });
+            client.once('connect', function () { callback(); });
+        });
+    },
+    'teardown': function (fixtures, callback) {
+        if (!client) {
+            callback();
+            return;
+        }
+
+        client.once('close', function () { server.close(callback); });
+        client.close();
+    }
+});
+
+test('fake server: getObject returns scripted object', function (t) {
+    var value = { 'foo': 'bar' };
+
+    server.respond('getObject', { 'records': [ {
+        'bucket': 'fake_bucket',
+        'key': 'fake_key',
+        'value': value,
+        '_id': 1,
+        '_etag': 'ABCDEF12',
+        '_mtime': Date.now(),
+        '_txn_snap': null,
+        '_count': null
+    } ] });
+
+    client.getObject('fake_bucket', 'fake_key', function (err, obj) {
+        t.ifError(err);
+        t.equal(obj.key, 'fake_key');
+        t.deepEqual(obj.value, value);
+        t.equal(server.calls('getObject').length, 1);
+        t.equal(server.calls('getObject')[0].argv[0], 'fake_bucket');
+        t.equal(server.calls('getObject')[0].argv[1], 'fake_key');
+        t.end();
+    });
+});
+
+test('fake server: putObject returns scripted error', function (t) {
+    server.respond('putObject', { 'error': {
+        'name': 'EtagConflictError',
+        'message': 'fake etag conflict'
+    } });
+
+    client.putObject('fake_bucket', 'fake_key', { 'foo': 'bar' },
+        function (err) {
+        t.ok(err instanceof Error, 'got an error');
+        t.ok(err.name == 'EtagConflictError' ||
+            VError.findCauseByName(err, 'EtagConflictError') !== null,
+            'error is an EtagConflictError');
+        t.deepEqual(server.calls('putObject')[0].argv[2], { 'foo': 'bar' });
+        t.end();
+    });
+});
+
+test('fake server: findObjects streams scripted records', function (t) {
+    var records = [];
+    var i, req;
+
+    for (i = 0; i < 5; i++) {
+        records.push({
+            'bucket': 'fake_bucket',
+            'key': 'key' + i,
+            'value': { 'num': i },
+            '_id': i,
+            '_etag': 'ABCDEF12',
+            '_mtime': Date.now(),
+            '_count': 5
+        });
+    }
+
+    server.respond('findObjects', { 'records': records, 'delay': 100 });
+    req = client.findObjects('fake_bucket', '(num>=0)');
+    i = 0;
+    req.on('error', function (err) {
+        t.ifError(err);
+        t.end();
+    });
+    req.on('record', function (obj) {
+        t.equal(obj.key, 'key' + i, 'record ' + i);
+        i++;
+    });
+    req.on('end', function () {
+        t.equal(i, records.length, 'saw all records');
+        t.end();
+    });
+});
+
+test('fake server: custom handler', function (t) {
+    var req, nrecords;
+
+    server.respond('sql', function (argv, rpc) {
+        rpc.write({ 'statement': argv[0] });
+        rpc.end();
+    });
+
+    nrecords = 0;
+    req = client.sql('SELECT 1', [], {});
+    req.on('error', function (err) {
+        t.ifError(err);
+        t.end();
+    });
+    req.on('record', function (row) {
+        t.equal(row.statement, 'SELECT 1');
+        nrecords++;
+    });
+    req.on('end', function () {
+        t.equal(nrecords, 1);
+        t.end();
+    });
+});
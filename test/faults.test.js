@@ -0,0 +1,225 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2016, Joyent, Inc.
+ */
+
+/*
+ * faults.test.js: test client behavior in the face of network faults injected
+ * by a FaultProxy between the client and server
+ */
+
+var FaultProxy = require('../lib/faultproxy').FaultProxy;
+var harness = require('../lib/harness');
+var helper = require('./helper.js');
+
+/* size of the response used to check the bandwidth limit (in bytes) */
+var PAYLOAD_SIZE = 16384;
+
+var proxy, client;
+
+/*
+ * Each test case gets a fresh proxy in front of the server and a client that
+ * connects through it.  The proxy only works with servers started by the test
+ * suite, since it forwards to a local port.
+ */
+var test = harness.createTestFunction({
+    'client': false,
+    'skip': function () {
+        return (helper.localServersSupported() ? null :
+            'requires servers started by the test suite');
+    },
+    'setup': function (fixtures, callback) {
+        proxy = undefined;
+        client = undefined;
+        if (!helper.localServersSupported()) {
+            callback();
+            return;
+        }
+
+        proxy = new FaultProxy({ 'targetPort': fixtures.server.ts_port });
+        proxy.listen(function (err) {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            client = helper.createClient({
+                'port': proxy.port(),
+                'retry': { 'minTimeout': 100, 'maxTimeout': 500 }
+            });
+            client.once('connect', function () { callback(); });
+        });
+    },
+    'teardown': function (fixtures, callback) {
+        if (proxy === undefined) {
+            callback();
+            return;
+        }
+
+        if (client === undefined) {
+            proxy.close(callback);
+            return;
+        }
+
+        client.once('close', function () { proxy.close(callback); });
+        client.close();
+    }
+});
+
+/*
+ * Invoke callback(err) once a ping through the proxy succeeds, retrying for up
+ * to "timeout" milliseconds.
+ */
+function waitForPing(timeout, callback) {
+    var deadline = Date.now() + timeout;
+
+    function attempt() {
+        client.ping(function (err) {
+            if (!err) {
+                callback(null);
+            } else if (Date.now() > deadline) {
+                callback(err);
+            } else {
+                setTimeout(attempt, 100);
+            }
+        });
+    }
+
+    attempt();
+}
+
+test('faults: latency', function (t) {
+    var start;
+
+    proxy.setFaults({ 'latency': 250 });
+    start = Date.now();
+    client.ping(function (err) {
+        t.ifError(err, 'ping succeeded despite latency');
+        t.ok(Date.now() - start >= 500,
+            'round trip took at least twice the latency');
+        t.end();
+    });
+});
+
+/*
+ * Fetch a PAYLOAD_SIZE-byte string from the server (using a query, so that the
+ * response is at least that large) and invoke callback(err, elapsed) with the
+ * time the request took, in milliseconds.
+ */
+function fetchPayload(callback) {
+    var start, req, payload;
+
+    start = Date.now();
+    payload = null;
+    req = client.sql('SELECT repeat($1, $2) AS payload',
+        [ 'x', PAYLOAD_SIZE ], {});
+    req.on('record', function (record) { payload = record.payload; });
+    req.on('error', function (err) { callback(err); });
+    req.on('end', function () {
+        if (payload === null || payload.length != PAYLOAD_SIZE) {
+            callback(new Error('unexpected payload'));
+            return;
+        }
+
+        callback(null, Date.now() - start);
+    });
+}
+
+test('faults: limited bandwidth', function (t) {
+    var bandwidth = PAYLOAD_SIZE / 2;
+
+    fetchPayload(function (err, baseline) {
+        t.ifError(err, 'fetched payload without limit');
+        if (err) {
+            t.end();
+            return;
+        }
+
+        proxy.setFaults({ 'bandwidth': bandwidth, 'direction': 'toClient' });
+        fetchPayload(function (err2, elapsed) {
+            t.ifError(err2, 'fetched payload despite limited bandwidth');
+            if (!err2) {
+                t.comment('took ' + elapsed + 'ms (' + baseline + 'ms ' +
+                    'without limit)');
+                /*
+                 * The response is at least PAYLOAD_SIZE bytes, so it can't
+                 * arrive sooner than this (allowing for timer slack).
+                 */
+                t.ok(elapsed >= 0.9 * 1000 * PAYLOAD_SIZE / bandwidth,
+                    'limited transfer took at least size / bandwidth');
+                t.ok(elapsed > baseline, 'limited transfer took longer ' +
+                    'than unlimited one');
+            }
+
+            t.end();
+        });
+    });
+});
+
+test('faults: dropped connections', function (t) {
+    var nconns = 0;
+
+    proxy.on('connection', function () { nconns++; });
+    proxy.setFaults({ 'drop': true });
+    waitForPing(10000, function (err) {
+        t.ifError(err, 'ping succeeded after reconnecting');
+        t.ok(nconns > 0, 'client reconnected');
+        t.end();
+    });
+});
+
+test('faults: refused connections', function (t) {
+    proxy.setFaults({ 'drop': true, 'refuse': true });
+    proxy.scheduleFaults([ { 'after': 1000, 'faults': {} } ]);
+    waitForPing(10000, function (err) {
+        t.ifError(err, 'ping succeeded once connections were allowed');
+        t.end();
+    });
+});
+
+test('faults: truncated response', function (t) {
+    proxy.setFaults({ 'truncate': 5, 'direction': 'toClient' });
+    client.ping(function (err) {
+        t.ok(err instanceof Error, 'ping failed (' +
+            (err ? err.message : 'no error') + ')');
+
+        proxy.setFaults({});
+        waitForPing(10000, function (err2) {
+            t.ifError(err2, 'ping succeeded after reconnecting');
+            t.end();
+        });
+    });
+});
+
+test('faults: corrupted response', function (t) {
+    proxy.setFaults({ 'corrupt': 1, 'direction': 'toClient' });
+    client.ping({ 'timeout': 1000 }, function (err) {
+        t.ok(err instanceof Error, 'ping failed (' +
+            (err ? err.message : 'no error') + ')');
+
+        proxy.setFaults({ 'drop': true });
+        waitForPing(10000, function (err2) {
+            t.ifError(err2, 'ping succeeded after reconnecting');
+            t.end();
+        });
+    });
+});
+
+test('faults: half-open connection', function (t) {
+    proxy.setFaults({ 'halfOpen': true });
+    client.ping({ 'timeout': 1000 }, function (err) {
+        t.ok(err instanceof Error, 'ping failed (' +
+            (err ? err.message : 'no error') + ')');
+
+        proxy.setFaults({ 'drop': true });
+        waitForPing(10000, function (err2) {
+            t.ifError(err2, 'ping succeeded after reconnecting');
+            t.end();
+        });
+    });
+});
@@ -13,17 +13,147 @@ var child = require('child_process');
 var forkexec = require('forkexec');
 var fs = require('fs');
 var jsprim = require('jsprim');
+var mkdirp = require('mkdirp');
+var net = require('net');
 var path = require('path');
-var stream = require('stream');
+var url = require('url');
 var util = require('util');
+var vasync = require('vasync');
+var VError = require('verror');
+
+var envfile = require('../lib/envfile');
+var merge = require('../lib/merge');
+
+loadEnvironment();
 
 var bunyan = require('bunyan');
 var moray = require('moray'); // client
 
-var which = 0;
+var which = 0;       /* count of servers started, used to name log files */
+
+/*
+ * Each test program is assigned its own range of TCP ports for the servers that
+ * it starts.  This allows the test runner to run several test programs
+ * concurrently, each against its own servers.  The runner sets
+ * MORAY_TEST_PORT_BASE to the first port in the range, and the server
+ * configuration file it generates for each worker listens on that port.
+ */
+var DFL_PORT_BASE = 2020;
+var PORT_RANGE = 10;
+
+/* interval between readiness probes (in milliseconds) */
+var PROBE_INTERVAL = 100;
+
+/* default time to wait for a graceful shutdown (in milliseconds) */
+var DFL_DRAIN_TIMEOUT = 10000;
+
+/*
+ * RPC methods that the round-robin client returned by createCluster() spreads
+ * across the servers in the cluster (if the client under test has them).
+ */
+var CLUSTER_RPC_METHODS = [
+    'putBucket', 'getBucket', 'listBuckets', 'updateBucket', 'delBucket',
+    'putObject', 'getObject', 'delObject', 'findObjects', 'batch',
+    'updateObjects', 'deleteMany', 'reindexObjects', 'getTokens', 'sql',
+    'ping', 'versionInternal'
+];
+
+/*
+ * Servers that have been started but not yet cleaned up.  If the program exits
+ * (e.g., because of an uncaught exception), we kill them so that they don't
+ * outlive the test.
+ */
+var liveServers = [];
+
+/*
+ * Count of clients recorded or replayed by this program, used to name
+ * recording files, and Recorders whose recordings have not yet been saved.  If
+ * the program exits without closing a client, we save its recording anyway.
+ */
+var nrecorded = 0;
+var liveRecorders = [];
+
+/*
+ * When testing remote servers, indicates which of them (by index into
+ * remoteServers()) are in use as additional servers (see createServer()).
+ */
+var remotesInUse = [];
+
+process.on('exit', function () {
+    liveRecorders.forEach(function (lr) {
+        lr.recorder.save(lr.filename);
+    });
+
+    liveServers.forEach(function (server) {
+        if (server.ts_child === null) {
+            return;
+        }
+
+        try {
+            process.kill(-server.ts_child.pid, 'SIGKILL');
+        } catch (ex) {
+            /* The process may already be gone. */
+        }
+    });
+});
+
+/*
+ * If the user forgot to source the environment file generated by "configure"
+ * (which always sets MORAY_TEST_ROOT) before running a test program by hand,
+ * load it ourselves, just as sourcing it would.  NODE_PATH is normally only
+ * read when node starts, so we have node re-read it in order to find the
+ * client.  This has to happen before anything requires the client, so it only
+ * helps test programs that load this file first.
+ */
+function loadEnvironment() {
+    var envpath, contents, env;
+
+    if (process.env['MORAY_TEST_ROOT']) {
+        return;
+    }
+
+    envpath = path.join(__dirname, '..', 'run', 'env.sh');
+    try {
+        contents = fs.readFileSync(envpath, 'utf8');
+    } catch (ex) {
+        if (ex['code'] == 'ENOENT') {
+            return;
+        }
+
+        throw (new VError(ex, 'read "%s"', envpath));
+    }
+
+    env = envfile.parseEnvironment(contents, 'sh');
+    env.names().forEach(function (name) {
+        process.env[name] = env.getVar(name).value;
+    });
+
+    if (env.getVar('NODE_PATH') !== null) {
+        require('module')._initPaths();
+    }
+
+    console.error('note: loaded environment from "%s" because it was not ' +
+        'sourced', envpath);
+}
 
 ///--- API
 
+/*
+ * Returns the port to use for the "idx"th server started by this program.
+ * Server 0 is the one started with default options.  Tests that need
+ * additional servers should use serverPort(1), serverPort(2), and so on.
+ */
+function serverPort(idx) {
+    var base;
+
+    idx = idx || 0;
+    assert.ok(idx >= 0 && idx < PORT_RANGE,
+        'server index out of range: ' + idx);
+    base = process.env['MORAY_TEST_PORT_BASE'] ?
+        parseInt(process.env['MORAY_TEST_PORT_BASE'], 10) : DFL_PORT_BASE;
+    return (base + idx);
+}
+
 function createLogger(name, logstream) {
     var log = bunyan.createLogger({
         level: (process.env.LOG_LEVEL || 'warn'),
@@ -35,21 +165,149 @@ function createLogger(name, logstream) {
     return (log);
 }
 
-function createClient(opts) {
+/*
+ * Create a Moray client for the server started with default options (or the
+ * remote server).  Named options include:
+ *
+ *     port             connect to this local port instead (e.g., for a
+ *                      FaultProxy from lib/faultproxy.js)
+ *
+ *     server           connect to this server instead (a handle from
+ *                      createServer(), which may refer to a remote server)
+ *
+ *     unwrapErrors, connectTimeout, retry
+ *                      passed through to moray.createClient()
+ *
+ * If "callback" is given, it's invoked as callback(err, client) once the client
+ * has connected, and nothing is returned.  Otherwise, the client is returned
+ * right away, before it has connected.
+ *
+ * If MORAY_TEST_RECORD_DIR is set, clients created with a callback connect
+ * through a Recorder (see lib/recording.js), and the RPCs they make are saved
+ * to a file in that directory when the client is closed.  If
+ * MORAY_TEST_REPLAY_DIR is set, such clients instead connect to a ReplayServer
+ * that replays the recording for the client from that directory.  Recordings
+ * are named for the test program and the order in which its clients were
+ * created (e.g., "objects.test.003.json"), so replay works only if the program
+ * creates clients in the same order as when it was recorded.  Clients created
+ * without a callback (since the recorder or replayer can't be listening yet)
+ * or with the "port" or "server" options are never recorded or replayed.  If
+ * the recorder can't decode the client's traffic, its 'error' is not handled
+ * here, so the program fails instead of saving an incomplete recording.
+ */
+function createClient(opts, callback) {
+    var address, recording, filename, target, proxy, done;
+    var replayer = null;
+    var recorder = null;
+    var direct = opts && (opts.port || opts.server);
+
+    if (opts && opts.server && opts.server.ts_url) {
+        address = { 'url': opts.server.ts_url };
+    } else if (opts && opts.server && !opts.server.ts_remote) {
+        address = { 'host': '127.0.0.1', 'port': opts.server.ts_port };
+    } else if (opts && opts.port) {
+        address = { 'host': '127.0.0.1', 'port': opts.port };
+    } else if (process.env['MORAY_TEST_SERVER_REMOTE']) {
+        address = { 'url': process.env['MORAY_TEST_SERVER_REMOTE'] };
+    } else {
+        address = { 'host': '127.0.0.1', 'port': serverPort(0) };
+    }
+
+    if (callback === undefined) {
+        return (createClientAt(address, opts));
+    }
+
+    assert.equal(typeof (callback), 'function');
+    if (direct || (!process.env['MORAY_TEST_REPLAY_DIR'] &&
+        !process.env['MORAY_TEST_RECORD_DIR'])) {
+        waitForClient(createClientAt(address, opts), callback);
+        return (undefined);
+    }
+
+    /*
+     * lib/recording.js uses lib/fakeserver.js, which uses this module, so we
+     * load it only when it's needed.
+     */
+    recording = require('../lib/recording');
+    filename = util.format('%s.%s.json',
+        path.basename(process.argv[1], '.js'),
+        ('00' + (++nrecorded)).slice(-3));
+
+    if (process.env['MORAY_TEST_REPLAY_DIR']) {
+        proxy = replayer = new recording.ReplayServer({
+            'recording': recording.loadRecording(path.join(
+                process.env['MORAY_TEST_REPLAY_DIR'], filename)),
+            'strict': process.env['MORAY_TEST_REPLAY_STRICT'] == 'true',
+            'timing': process.env['MORAY_TEST_REPLAY_TIMING'] == 'true'
+        });
+        done = function () {
+            replayer.close(function () {});
+        };
+    } else {
+        mkdirp.sync(process.env['MORAY_TEST_RECORD_DIR']);
+        target = address.url ? url.parse(address.url) : {
+            'hostname': address.host,
+            'port': address.port
+        };
+        proxy = recorder = new recording.Recorder({
+            'targetHost': target.hostname,
+            'targetPort': target.port ? parseInt(target.port, 10) : 2020
+        });
+        done = function () {
+            var i;
+
+            for (i = 0; i < liveRecorders.length; i++) {
+                if (liveRecorders[i].recorder == recorder) {
+                    recorder.save(liveRecorders[i].filename);
+                    liveRecorders.splice(i, 1);
+                    break;
+                }
+            }
+
+            recorder.close(function () {});
+        };
+    }
+
+    proxy.listen(function (err) {
+        var client;
+
+        if (err) {
+            callback(new VError(err, 'start %s for "%s"',
+                replayer !== null ? 'replay server' : 'recorder', filename));
+            return;
+        }
+
+        if (recorder !== null) {
+            liveRecorders.push({
+                'recorder': recorder,
+                'filename': path.join(process.env['MORAY_TEST_RECORD_DIR'],
+                    filename)
+            });
+        }
+
+        client = createClientAt({
+            'host': '127.0.0.1',
+            'port': proxy.port()
+        }, opts);
+        client.on('close', done);
+        waitForClient(client, callback);
+    });
+
+    return (undefined);
+}
+
+/*
+ * Create a Moray client that connects to "address" (either "url" or "host"
+ * and "port"), using the other options described above createClient().
+ */
+function createClientAt(address, opts) {
     /*
      * It would be nice to use the mustCloseBeforeNormalProcessExit option to
      * the Moray client, which would identify client leaks, but node-tape
      * defeats that check by calling process.exit() from its own 'exit'
      * listener.
      */
-    var clientparams = {};
-
-    if (process.env['MORAY_TEST_SERVER_REMOTE']) {
-        clientparams.url = process.env['MORAY_TEST_SERVER_REMOTE'];
-    } else {
-        clientparams.host = '127.0.0.1';
-        clientparams.port = 2020;
-    }
+    var clientparams = jsprim.deepCopy(address);
 
     clientparams.log = createLogger();
 
@@ -57,74 +315,544 @@ function createClient(opts) {
     	clientparams.unwrapErrors = opts.unwrapErrors;
     }
 
+    if (opts && opts.connectTimeout) {
+        clientparams.connectTimeout = opts.connectTimeout;
+    }
+
+    if (opts && opts.retry) {
+        clientparams.retry = opts.retry;
+    }
+
     return (moray.createClient(clientparams));
 }
 
-function multipleServersSupported() {
-    return (!process.env['MORAY_TEST_SERVER_REMOTE']);
+/*
+ * Invoke callback(null, client) once "client" has connected, or close it and
+ * invoke callback(err) if it emits 'error' first.
+ */
+function waitForClient(client, callback) {
+    function onConnect() {
+        client.removeListener('error', onError);
+        callback(null, client);
+    }
+
+    function onError(err) {
+        client.removeListener('connect', onConnect);
+        client.close();
+        callback(err);
+    }
+
+    client.once('connect', onConnect);
+    client.once('error', onError);
+}
+
+/*
+ * Returns the directory where logs from servers started by this program are
+ * saved.  The test runner sets MORAY_TEST_LOG_DIR for each test program.  When
+ * a test program is run by hand, logs go into a directory under "logs" in the
+ * configured target's run directory (usually "run"), named for the program.
+ */
+function serverLogDirectory() {
+    if (process.env['MORAY_TEST_LOG_DIR']) {
+        return (process.env['MORAY_TEST_LOG_DIR']);
+    }
+
+    return (path.join(process.env['MORAY_TEST_RUN_DIR'] ||
+        path.join(process.env['MORAY_TEST_ROOT'] ||
+        path.join(__dirname, '..'), 'run'), 'logs',
+        path.basename(process.argv[1], '.js')));
+}
+
+/*
+ * Returns true if this program can use at least "count" (default: 1) servers in
+ * addition to the usual one.  With servers started by the test suite, it can
+ * use as many as it likes.  With remote servers, it can use as many as were
+ * configured beyond the first.
+ */
+function multipleServersSupported(count) {
+    if (count === undefined) {
+        count = 1;
+    }
+
+    if (process.env['MORAY_TEST_REPLAY_DIR']) {
+        return (false);
+    }
+
+    if (process.env['MORAY_TEST_SERVER_REMOTE']) {
+        return (remoteServers().length > count);
+    }
+
+    return (true);
+}
+
+/*
+ * Returns true if this program starts its own servers (so that it can stop,
+ * restart, or pause them, or put a FaultProxy in front of them), rather than
+ * using remote servers or replaying a recording.
+ */
+function localServersSupported() {
+    return (!process.env['MORAY_TEST_SERVER_REMOTE'] &&
+        !process.env['MORAY_TEST_REPLAY_DIR']);
+}
+
+/*
+ * Returns the URLs of the remote servers, if any.  Environment files from
+ * older versions of "configure" have only MORAY_TEST_SERVER_REMOTE.
+ */
+function remoteServers() {
+    var urls;
+
+    if (!process.env['MORAY_TEST_SERVER_REMOTE']) {
+        return ([]);
+    }
+
+    if (!process.env['MORAY_TEST_SERVER_REMOTES']) {
+        return ([ process.env['MORAY_TEST_SERVER_REMOTE'] ]);
+    }
+
+    urls = JSON.parse(process.env['MORAY_TEST_SERVER_REMOTES']);
+    assert.ok(Array.isArray(urls) && urls.length > 0,
+        'MORAY_TEST_SERVER_REMOTES must be a non-empty array');
+    return (urls);
+}
+
+/*
+ * Returns the configuration used to decide when a newly-started server is ready
+ * to accept requests.  This comes from the environment (see the "server.ready"
+ * property in the configuration file).  The returned object has:
+ *
+ *     method       "log" (wait for all of "patterns" to appear in the server's
+ *                  log), "tcp" (wait until the server accepts TCP
+ *                  connections), or "ping" (wait until a "ping" RPC succeeds)
+ *
+ *     patterns     array of regular expressions (for the "log" method)
+ *
+ *     timeout      maximum time to wait for the server, in milliseconds
+ *
+ * Returns an Error if the configuration is invalid.
+ */
+function readinessConfig() {
+    var config, patterns, timeout;
+
+    config = {
+        'method': process.env['MORAY_TEST_SERVER_READY_METHOD'] || 'log',
+        'patterns': [ /moray listening on \d+/, /manatee ready/ ],
+        'timeout': 10000
+    };
+
+    if (config.method != 'log' && config.method != 'tcp' &&
+        config.method != 'ping') {
+        return (new Error('unsupported MORAY_TEST_SERVER_READY_METHOD: "' +
+            config.method + '"'));
+    }
+
+    if (process.env['MORAY_TEST_SERVER_READY_PATTERNS']) {
+        try {
+            patterns = JSON.parse(
+                process.env['MORAY_TEST_SERVER_READY_PATTERNS']);
+            config.patterns = patterns.map(function (p) {
+                return (new RegExp(p));
+            });
+        } catch (ex) {
+            return (new VError(ex,
+                'bad value for MORAY_TEST_SERVER_READY_PATTERNS'));
+        }
+    }
+
+    if (process.env['MORAY_TEST_SERVER_READY_TIMEOUT']) {
+        timeout = jsprim.parseInteger(
+            process.env['MORAY_TEST_SERVER_READY_TIMEOUT']);
+        if (timeout instanceof Error) {
+            return (new VError(timeout,
+                'bad value for MORAY_TEST_SERVER_READY_TIMEOUT'));
+        }
+        config.timeout = timeout;
+    }
+
+    return (config);
 }
 
+/*
+ * Start a Moray server and invoke cb(err, server) once it's ready to accept
+ * requests (according to readinessConfig()).  If the server fails to start
+ * (e.g., because it exits or does not become ready in time), the server is
+ * killed and cb is invoked with an error.  Named options include:
+ *
+ *     portOverride     port on which the server should listen (the default
+ *                      is serverPort(0)).  This appends "-p PORT" to the
+ *                      server's arguments.
+ *
+ *     args             array of extra arguments for the server
+ *
+ *     env              object describing environment variables to set for
+ *                      the server
+ *
+ *     configPatch      object to merge onto the server's configuration (see
+ *                      lib/merge.js), or a function that's passed the
+ *                      configuration and returns such an object.  The merged
+ *                      configuration is written next to the server's log
+ *                      file.
+ *
+ *     logName          short label used to name the server's log file
+ *
+ * The server is started using the arguments in MORAY_TEST_SERVER_ARGV (see
+ * serverArgv()) followed by any extra arguments, without a shell.  The
+ * server's output is written to a log file in serverLogDirectory(), and the
+ * path to that file is available as "ts_log" on the returned server handle.
+ *
+ * With remote servers, nothing is started.  Without "portOverride", the handle
+ * refers to the usual remote server.  With "portOverride", it refers to one of
+ * the additional remote servers (if any are available): serverPort(1) maps to
+ * the second remote server, serverPort(2) to the third, and so on, and other
+ * ports map to whichever one is free.  Either way, the handle's "ts_url" is the
+ * server's URL, and createClient() can connect to it with the "server" option.
+ * The other options can't be applied to remote servers.
+ */
 function createServer(opts, cb) {
-    var env, cp, pt, server, t, seen, ready;
+    var env, extra, argv, server, readiness, logdir, logname, logpath;
+    var config, configpath;
 
     opts = opts || {};
     if (process.env['MORAY_TEST_SERVER_REMOTE']) {
+        server = remoteServer(opts);
+        if (server instanceof Error) {
+            setImmediate(cb, server);
+        } else {
+            setImmediate(cb, null, server);
+        }
+        return;
+    }
+
+    if (!localServersSupported()) {
+        /*
+         * When replaying a recording, clients talk to a ReplayServer instead.
+         */
         if (opts.portOverride) {
-            throw (new Error('multiple servers are not supported in ' +
-                'this configuration'));
+            setImmediate(cb, new Error('multiple servers are not ' +
+                'supported in this configuration'));
         } else {
-            setImmediate(cb, { 'ts_remote': true });
+            setImmediate(cb, null, { 'ts_remote': true });
         }
         return;
     }
 
-    if (!process.env['MORAY_TEST_SERVER_RUN']) {
-        throw (new Error('not found in environment: MORAY_TEST_SERVER_RUN. ' +
-            '(have you already run configure and sourced the env file?)'));
+    assert.ok(opts.args === undefined || (Array.isArray(opts.args) &&
+        opts.args.every(function (a) { return (typeof (a) == 'string'); })),
+        'opts.args must be an array of strings');
+    assert.ok(opts.env === undefined || (typeof (opts.env) == 'object' &&
+        opts.env !== null), 'opts.env must be an object');
+    assert.ok(opts.configPatch === undefined ||
+        typeof (opts.configPatch) == 'function' ||
+        (typeof (opts.configPatch) == 'object' && opts.configPatch !== null),
+        'opts.configPatch must be an object or function');
+
+    readiness = readinessConfig();
+    if (readiness instanceof Error) {
+        setImmediate(cb, readiness);
+        return;
     }
 
     env = jsprim.deepCopy(process.env);
-    if (opts.portOverride) {
-        env['MORAY_TEST_EXTRA_ARGS'] = '-p ' + opts.portOverride;
+    if (env['MORAY_TEST_SERVER_ENV']) {
+        try {
+            jsprim.forEachKey(JSON.parse(env['MORAY_TEST_SERVER_ENV']),
+                function (name, value) { env[name] = String(value); });
+        } catch (ex) {
+            setImmediate(cb, new VError(ex,
+                'bad value for MORAY_TEST_SERVER_ENV'));
+            return;
+        }
     }
 
-    cp = child.spawn('bash', [ '-c', process.env['MORAY_TEST_SERVER_RUN'] ], {
-            'detached': true,
-            'stdio': [ 'ignore', 'pipe', process.stderr ],
-            'env': env
-        });
+    jsprim.forEachKey(opts.env || {}, function (name, value) {
+        env[name] = String(value);
+    });
 
-    seen = '';
-    ready = false;
-    pt = new stream.PassThrough();
-    cp.stdout.pipe(process.stdout);
-    cp.stdout.pipe(pt);
+    extra = opts.portOverride ? [ '-p', String(opts.portOverride) ] : [];
+    extra = extra.concat(opts.args || []);
+
+    /*
+     * Commands configured with "server.start" are bash commands that refer to
+     * the extra arguments as an unquoted $MORAY_TEST_EXTRA_ARGS, which bash
+     * splits on whitespace (so arguments containing whitespace only work with
+     * structured commands).
+     */
+    env['MORAY_TEST_EXTRA_ARGS'] = extra.join(' ');
+
+    logdir = serverLogDirectory();
+    logname = util.format('%s-%s', ('00' + (++which)).slice(-3),
+        (opts.logName || 'server').replace(/[^a-zA-Z0-9_.-]+/g, '-'));
+    logpath = path.join(logdir, logname + '.log');
+    try {
+        mkdirp.sync(logdir);
+    } catch (ex) {
+        setImmediate(cb, new VError(ex, 'mkdirp "%s"', logdir));
+        return;
+    }
 
-    pt.on('data', function (c) {
-        seen += c.toString('utf8');
-        if (!ready && /moray listening on \d+/.test(seen) &&
-            /manatee ready/.test(seen)) {
-            cp.stdout.unpipe(pt);
-            ready = true;
-            clearTimeout(t);
-            t = null;
-            cb(server);
+    if (opts.configPatch !== undefined) {
+        configpath = env['MORAY_TEST_SERVER_CONFIG'];
+        try {
+            config = JSON.parse(fs.readFileSync(configpath, 'utf8'));
+        } catch (ex) {
+            setImmediate(cb, new VError(ex, 'load server config "%s"',
+                configpath));
+            return;
         }
-    });
 
-    t = setTimeout(function () {
-        throw (new Error('server did not start after 10 seconds'));
-    }, 10000);
+        configpath = path.join(logdir, logname + '.config.json');
+        try {
+            fs.writeFileSync(configpath, JSON.stringify(
+                merge.deepMerge(config, typeof (opts.configPatch) ==
+                'function' ? opts.configPatch(config) : opts.configPatch),
+                null, '\t'));
+        } catch (ex) {
+            setImmediate(cb, new VError(ex, 'write "%s"', configpath));
+            return;
+        }
+
+        env['MORAY_TEST_SERVER_CONFIG'] = configpath;
+    }
+
+    argv = serverArgv(env);
+    if (argv instanceof Error) {
+        setImmediate(cb, argv);
+        return;
+    }
 
     server = {
         'ts_remote': false,
-        'ts_child': cp,
-        'ts_cleanup_cb': null
+        'ts_child': null,
+        'ts_port': opts.portOverride || serverPort(0),
+        'ts_log': logpath,
+        'ts_argv': argv.concat(extra),
+        'ts_env': env,
+        'ts_readiness': readiness,
+        'ts_nstarts': 0,
+        'ts_ready': false,
+        'ts_failed': false,
+        'ts_paused': false,
+        'ts_exit_cb': null,
+        'ts_cleanup_cb': null,
+        'ts_graceful': false
     };
+    liveServers.push(server);
+
+    startServerProcess(server, function (err) {
+        if (err) {
+            liveServers.splice(liveServers.indexOf(server), 1);
+            cb(err);
+        } else {
+            cb(null, server);
+        }
+    });
+}
+
+/*
+ * Returns a handle for the remote server requested by createServer() options
+ * "opts" (see createServer()), or an Error if it's not available.
+ */
+function remoteServer(opts) {
+    var urls, idx;
+
+    if (opts.args !== undefined || opts.env !== undefined ||
+        opts.configPatch !== undefined) {
+        return (new Error('"args", "env", and "configPatch" are not ' +
+            'supported with remote servers'));
+    }
+
+    urls = remoteServers();
+    if (!opts.portOverride) {
+        return ({ 'ts_remote': true, 'ts_url': urls[0] });
+    }
+
+    idx = opts.portOverride - serverPort(0);
+    if (idx < 1 || idx >= urls.length || remotesInUse[idx]) {
+        for (idx = 1; idx < urls.length; idx++) {
+            if (!remotesInUse[idx]) {
+                break;
+            }
+        }
+    }
+
+    if (idx >= urls.length) {
+        return (new Error('not enough remote servers configured (have ' +
+            urls.length + ', and ' + (urls.length - 1) + ' already in use)'));
+    }
+
+    remotesInUse[idx] = true;
+    return ({ 'ts_remote': true, 'ts_url': urls[idx], 'ts_remote_index': idx });
+}
+
+/*
+ * Returns the arguments used to start the server (without any extra arguments)
+ * from MORAY_TEST_SERVER_ARGV in the server's environment "env", with each
+ * "${NAME}" replaced by the value of variable NAME in "env".  Environment files
+ * from older versions of "configure" have a bash command in
+ * MORAY_TEST_SERVER_RUN instead.  Returns an Error if the arguments are
+ * missing or invalid.
+ */
+function serverArgv(env) {
+    var argv, missing;
+
+    if (!env['MORAY_TEST_SERVER_ARGV']) {
+        if (env['MORAY_TEST_SERVER_RUN']) {
+            return ([ 'bash', '-c', env['MORAY_TEST_SERVER_RUN'] ]);
+        }
+
+        return (new Error('not found in environment: ' +
+            'MORAY_TEST_SERVER_ARGV. (have you already run configure and ' +
+            'sourced the env file?)'));
+    }
+
+    try {
+        argv = JSON.parse(env['MORAY_TEST_SERVER_ARGV']);
+    } catch (ex) {
+        return (new VError(ex, 'bad value for MORAY_TEST_SERVER_ARGV'));
+    }
+
+    if (!Array.isArray(argv) || argv.length === 0 ||
+        !argv.every(function (a) { return (typeof (a) == 'string'); })) {
+        return (new Error('bad value for MORAY_TEST_SERVER_ARGV: ' +
+            'expected a non-empty array of strings'));
+    }
+
+    missing = null;
+    argv = argv.map(function (arg) {
+        return (arg.replace(/\$\{([a-zA-Z_][a-zA-Z0-9_]*)\}/g,
+            function (_, name) {
+                if (!env.hasOwnProperty(name)) {
+                    missing = name;
+                    return ('');
+                }
+
+                return (env[name]);
+            }));
+    });
+
+    if (missing !== null) {
+        return (new Error('MORAY_TEST_SERVER_ARGV refers to variable "' +
+            missing + '", which is not set'));
+    }
+
+    return (argv);
+}
+
+/*
+ * Start the server process for the server handle "server" and invoke cb(err)
+ * once it's ready.  This is used both to start the server initially and to
+ * start it again after killServer().  The output of each process is appended
+ * to the same log file.
+ */
+function startServerProcess(server, cb) {
+    var cp, readiness, probe, timer, seen, logstream;
+
+    assert.ok(server.ts_child === null, 'server is already running');
+    readiness = server.ts_readiness;
+    cp = child.spawn(server.ts_argv[0], server.ts_argv.slice(1), {
+            'detached': true,
+            'stdio': [ 'ignore', 'pipe', 'pipe' ],
+            'env': server.ts_env
+        });
+
+    server.ts_child = cp;
+    server.ts_ready = false;
+    server.ts_failed = false;
+    server.ts_paused = false;
+
+    /*
+     * Save the server's output to its log file rather than mixing it with the
+     * TAP output of the test program.
+     */
+    logstream = fs.createWriteStream(server.ts_log, {
+        'flags': server.ts_nstarts++ === 0 ? 'w' : 'a'
+    });
+    cp.stdout.pipe(logstream, { 'end': false });
+    cp.stderr.pipe(logstream, { 'end': false });
+
+    /*
+     * Wait for the server to become ready using the configured method.
+     */
+    seen = '';
+    probe = null;
+    if (readiness.method == 'log') {
+        [ cp.stdout, cp.stderr ].forEach(function (stream) {
+            stream.on('data', function onLogData(c) {
+                if (server.ts_ready || server.ts_failed) {
+                    stream.removeListener('data', onLogData);
+                    return;
+                }
+
+                seen += c.toString('utf8');
+                if (readiness.patterns.every(function (p) {
+                    return (p.test(seen));
+                })) {
+                    onStartup(null);
+                }
+            });
+        });
+    } else {
+        probe = readiness.method == 'tcp' ?
+            probeTcp(server.ts_port, onStartup) :
+            probePing(server.ts_port, onStartup);
+    }
+
+    timer = setTimeout(function () {
+        timer = null;
+        onStartup(new Error('server did not become ready (method "' +
+            readiness.method + '") after ' + readiness.timeout + 'ms'));
+    }, readiness.timeout);
+
+    function onStartup(err) {
+        if (server.ts_ready || server.ts_failed) {
+            return;
+        }
+
+        if (timer !== null) {
+            clearTimeout(timer);
+            timer = null;
+        }
+
+        if (probe !== null) {
+            probe.stop();
+            probe = null;
+        }
+
+        if (err) {
+            server.ts_failed = true;
+            try {
+                process.kill(-cp.pid, 'SIGKILL');
+            } catch (ex) {
+                /* The process may already be gone. */
+            }
+            cb(err);
+        } else {
+            server.ts_ready = true;
+            cb(null);
+        }
+    }
 
     cp.on('exit', function (code, signal) {
         var err, info;
 
+        err = new Error('child process exited');
+        err.code = code;
+        err.signal = signal;
+        info = forkexec.interpretChildProcessResult({
+            'label': 'test moray server',
+            'error': err
+        });
+
+        if (!server.ts_ready) {
+            onStartup(info.error);
+            return;
+        }
+
+        /* See the 'close' handler below. */
+        if (server.ts_graceful || server.ts_exit_cb !== null) {
+            return;
+        }
+
         if (code === 0) {
             /*
              * This should never happen because the server should only exit when
@@ -134,44 +862,499 @@ function createServer(opts, cb) {
         }
 
         if (server.ts_cleanup_cb === null || signal != 'SIGKILL') {
-            err = new Error('child process exited');
-            err.code = code;
-            err.signal = signal;
+            throw (info.error);
+        } else {
+            liveServers.splice(liveServers.indexOf(server), 1);
+            server.ts_cleanup_cb(code, signal);
+        }
+    });
 
-            info = forkexec.interpretChildProcessResult({
-                'label': 'test moray server',
-                'error': err
-            });
+    /*
+     * During a graceful shutdown, the server may exit however it likes, and
+     * cleanupServer() decides whether that was clean.  Similarly, killServer()
+     * reports however the server exited.  If the server was started by a
+     * shell (for "server.start" commands), the shell may exit as soon as it
+     * receives a signal, so in these cases we wait for 'close', which is
+     * emitted only once all processes sharing the server's stdout and stderr
+     * have exited.  For killServer(), we also wait for the log to be written
+     * out so that it's not interleaved with the output of the next process.
+     */
+    cp.on('close', function (code, signal) {
+        var exitcb;
 
-            throw (info.error);
+        server.ts_child = null;
+        if (server.ts_graceful) {
+            logstream.end();
+            liveServers.splice(liveServers.indexOf(server), 1);
+            server.ts_cleanup_cb(code, signal);
+        } else if (server.ts_exit_cb !== null) {
+            exitcb = server.ts_exit_cb;
+            server.ts_exit_cb = null;
+            logstream.end(function () {
+                exitcb({ 'status': code, 'signal': signal });
+            });
         } else {
-            server.ts_cleanup_cb();
+            logstream.end();
+        }
+    });
+}
+
+/*
+ * Repeatedly try to connect to the given local TCP port until it succeeds.
+ * Invokes "callback" once a connection has been established.  Returns an object
+ * with a stop() method to cancel the probe.
+ */
+function probeTcp(port, callback) {
+    var stopped = false;
+    var timer = null;
+
+    function attempt() {
+        var sock;
+
+        timer = null;
+        sock = net.connect({ 'host': '127.0.0.1', 'port': port });
+        sock.on('connect', function () {
+            sock.destroy();
+            if (!stopped) {
+                callback(null);
+            }
+        });
+        sock.on('error', function () {
+            if (!stopped) {
+                timer = setTimeout(attempt, PROBE_INTERVAL);
+            }
+        });
+    }
+
+    attempt();
+    return ({
+        'stop': function () {
+            stopped = true;
+            if (timer !== null) {
+                clearTimeout(timer);
+            }
+        }
+    });
+}
+
+/*
+ * Like probeTcp(), but uses a Moray client and waits until a "ping" RPC
+ * succeeds.
+ */
+function probePing(port, callback) {
+    var stopped = false;
+    var timer = null;
+    var client;
+
+    client = moray.createClient({
+        'log': createLogger('ready-probe'),
+        'host': '127.0.0.1',
+        'port': port,
+        'retry': {
+            'minTimeout': PROBE_INTERVAL,
+            'maxTimeout': PROBE_INTERVAL
+        }
+    });
+
+    function attempt() {
+        timer = null;
+        client.ping(function (err) {
+            if (stopped) {
+                return;
+            }
+
+            if (err) {
+                timer = setTimeout(attempt, PROBE_INTERVAL);
+            } else {
+                callback(null);
+            }
+        });
+    }
+
+    client.once('connect', attempt);
+    return ({
+        'stop': function () {
+            stopped = true;
+            if (timer !== null) {
+                clearTimeout(timer);
+            }
+            client.close();
         }
     });
 }
 
-function cleanupServer(server, cb) {
+/*
+ * Stops a server started with createServer() and invokes "cb" once it has
+ * exited.  By default, the server is killed immediately with SIGKILL.  "opts"
+ * may contain:
+ *
+ *     graceful         if true, send SIGTERM instead and give the server a
+ *                      chance to finish outstanding requests and exit on its
+ *                      own
+ *
+ *     timeout          for graceful shutdown, how long to wait (in
+ *                      milliseconds) for the server to exit before killing it
+ *                      with SIGKILL (default: 10000)
+ *
+ * For graceful shutdown, "cb" is invoked as cb(err, info), where "err"
+ * describes why the shutdown was not clean (i.e., the server did not exit in
+ * time, or exited with something other than status 0 or SIGTERM) and "info"
+ * contains the "status" and "signal" with which the server exited and the
+ * "duration" of the shutdown in milliseconds.
+ */
+function cleanupServer(server, opts, cb) {
+    var start, timer, timedout, pid;
+
+    if (typeof (opts) == 'function') {
+        cb = opts;
+        opts = {};
+    }
+
+    opts = opts || {};
     if (server.ts_remote) {
+        if (server.ts_remote_index !== undefined) {
+            remotesInUse[server.ts_remote_index] = false;
+        }
+
         setImmediate(cb);
-    } else {
-        assert.ok(server.ts_cleanup_cb === null,
-            'cannot call cleanupServer multiple times');
+        return;
+    }
+
+    assert.ok(server.ts_cleanup_cb === null,
+        'cannot call cleanupServer multiple times');
+    assert.ok(server.ts_exit_cb === null,
+        'cannot call cleanupServer while the server is being stopped');
+
+    /* The server may have been stopped with killServer(). */
+    if (server.ts_child === null) {
         server.ts_cleanup_cb = cb;
+        liveServers.splice(liveServers.indexOf(server), 1);
+        setImmediate(cb);
+        return;
+    }
+
+    if (!opts.graceful) {
+        server.ts_cleanup_cb = function () { cb(); };
 
         /*
          * Kill the entire process group, since there may have been more than
          * one process created under bash.
          */
         process.kill(-server.ts_child.pid, 'SIGKILL');
+        return;
+    }
+
+    start = Date.now();
+    timedout = false;
+    server.ts_graceful = true;
+    server.ts_cleanup_cb = function (code, signal) {
+        var err, info;
+
+        if (timer !== null) {
+            clearTimeout(timer);
+            timer = null;
+        }
+
+        info = {
+            'status': code,
+            'signal': signal,
+            'duration': Date.now() - start
+        };
+
+        if (timedout) {
+            err = new Error('server did not exit within ' + opts.timeout +
+                'ms of SIGTERM');
+        } else if (signal !== null && signal != 'SIGTERM') {
+            err = new Error('server did not shut down cleanly: ' +
+                'killed by signal ' + signal);
+        } else if (signal === null && code !== 0) {
+            err = new Error('server did not shut down cleanly: ' +
+                'exited with status ' + code);
+        } else {
+            err = null;
+        }
+
+        cb(err, info);
+    };
+
+    opts.timeout = opts.timeout || DFL_DRAIN_TIMEOUT;
+    pid = server.ts_child.pid;
+    timer = setTimeout(function () {
+        timer = null;
+        timedout = true;
+        try {
+            process.kill(-pid, 'SIGKILL');
+        } catch (ex) {
+            /* The process may have exited in the meantime. */
+        }
+    }, opts.timeout);
+
+    process.kill(-pid, 'SIGTERM');
+    if (server.ts_paused) {
+        resumeServer(server);
+    }
+}
+
+/*
+ * The following functions inject failures into a server started with
+ * createServer() in the middle of a test.  They're not supported for remote
+ * servers.  See also lib/outages.js, which uses these to inject outages on a
+ * schedule.
+ */
+
+/*
+ * Stop the server by sending "signal" (default: SIGKILL) to its process group
+ * and invoke cb(info) once it has exited, where "info" has the "status" and
+ * "signal" with which the server exited.  Unlike cleanupServer(), the server
+ * handle remains valid: the server can be started again with restartServer(),
+ * and it must still be cleaned up with cleanupServer().
+ */
+function killServer(server, signal, cb) {
+    if (typeof (signal) == 'function') {
+        cb = signal;
+        signal = 'SIGKILL';
+    }
+
+    assert.ok(!server.ts_remote, 'cannot kill a remote server');
+    assert.ok(server.ts_child !== null, 'server is not running');
+    assert.ok(server.ts_ready, 'server has not finished starting');
+    assert.ok(server.ts_exit_cb === null, 'server is already being stopped');
+    assert.ok(server.ts_cleanup_cb === null, 'server has been cleaned up');
+
+    server.ts_exit_cb = cb;
+    process.kill(-server.ts_child.pid, signal);
+    if (server.ts_paused && signal != 'SIGKILL') {
+        resumeServer(server);
+    }
+}
+
+/*
+ * Start the server again, first stopping it with "signal" (default: SIGKILL) if
+ * it's still running, and invoke cb(err) once it's ready again.  The server
+ * listens on the same port and writes to the same log file as before.
+ */
+function restartServer(server, signal, cb) {
+    if (typeof (signal) == 'function') {
+        cb = signal;
+        signal = 'SIGKILL';
+    }
+
+    if (server.ts_child === null) {
+        startServerProcess(server, cb);
+        return;
     }
+
+    killServer(server, signal, function () {
+        startServerProcess(server, cb);
+    });
+}
+
+/*
+ * Suspend the server's processes with SIGSTOP.  The server keeps its
+ * connections open, but stops responding until resumeServer() is called.
+ */
+function pauseServer(server) {
+    assert.ok(!server.ts_remote, 'cannot pause a remote server');
+    assert.ok(server.ts_child !== null, 'server is not running');
+    assert.ok(!server.ts_paused, 'server is already paused');
+
+    process.kill(-server.ts_child.pid, 'SIGSTOP');
+    server.ts_paused = true;
+}
+
+/*
+ * Resume a server suspended with pauseServer().
+ */
+function resumeServer(server) {
+    assert.ok(server.ts_child !== null, 'server is not running');
+    assert.ok(server.ts_paused, 'server is not paused');
+
+    process.kill(-server.ts_child.pid, 'SIGCONT');
+    server.ts_paused = false;
+}
+
+/*
+ * Start "opts.count" servers that share the same database (the one in the
+ * server configuration), each on its own free port, and connect a client to
+ * each one.  This is useful for testing behavior across servers, like cache
+ * invalidation.  Named options include:
+ *
+ *     count            number of servers to start
+ *
+ *     logName          short label used to name the servers' log files, to
+ *                      which we append the index of each server
+ *
+ *     serverOptions    additional options for createServer() (like "args",
+ *                      "env", or "configPatch")
+ *
+ * Invokes cb(err, cluster), where "cluster" has properties:
+ *
+ *     servers          array of server handles, as from createServer()
+ *
+ *     clients          array of clients, one connected to each server
+ *
+ *     client           object with the usual RPC methods (like getObject() and
+ *                      putObject()), each of which makes the RPC using the
+ *                      next client in "clients", in turn
+ *
+ *     cleanup          function (callback) to close the clients and stop the
+ *                      servers
+ *
+ * If any server fails to start, the ones that did start are stopped and cb is
+ * invoked with an error.  The servers are in addition to the one started for
+ * the test program (which is on serverPort(0)), and they don't use ports in
+ * the program's range.  With remote servers, the cluster uses the additional
+ * remote servers instead (see createServer()), so the caller should check
+ * multipleServersSupported(count) first.
+ */
+function createCluster(opts, cb) {
+    var cluster, indexes, ports, next, i;
+
+    assert.ok(typeof (opts) == 'object' && opts !== null,
+        'opts must be an object');
+    assert.ok(typeof (opts.count) == 'number' && opts.count >= 1,
+        'opts.count must be a positive number');
+    assert.ok(opts.logName === undefined || typeof (opts.logName) == 'string',
+        'opts.logName must be a string');
+
+    if (!multipleServersSupported(opts.count)) {
+        setImmediate(cb, new Error('multiple servers are not ' +
+            'supported in this configuration'));
+        return;
+    }
+
+    cluster = {
+        'servers': [],
+        'clients': [],
+        'client': {},
+        'cleanup': function (callback) {
+            cleanupCluster(cluster, callback);
+        }
+    };
+
+    next = 0;
+    CLUSTER_RPC_METHODS.forEach(function (method) {
+        if (typeof (moray.Client.prototype[method]) != 'function') {
+            return;
+        }
+
+        cluster.client[method] = function () {
+            var client = cluster.clients[next++ % cluster.clients.length];
+            return (client[method].apply(client, arguments));
+        };
+    });
+
+    indexes = [];
+    for (i = 0; i < opts.count; i++) {
+        indexes.push(i);
+    }
+
+    ports = [];
+    vasync.forEachPipeline({
+        'inputs': indexes,
+        'func': function startClusterMember(i, callback) {
+            findFreePort(ports, function (err, port) {
+                var sopts;
+
+                if (err) {
+                    callback(err);
+                    return;
+                }
+
+                ports.push(port);
+                sopts = jsprim.mergeObjects(opts.serverOptions, {
+                    'portOverride': port,
+                    'logName': (opts.logName || 'cluster') + '-' + i
+                });
+                createServer(sopts, function (err2, server) {
+                    var client;
+
+                    if (err2) {
+                        callback(err2);
+                        return;
+                    }
+
+                    cluster.servers.push(server);
+                    client = createClient({ 'server': server });
+                    cluster.clients.push(client);
+                    client.once('error', callback);
+                    client.once('connect', function () {
+                        client.removeListener('error', callback);
+                        callback();
+                    });
+                });
+            });
+        }
+    }, function (err) {
+        if (err) {
+            cleanupCluster(cluster, function () {
+                cb(new VError(err, 'start cluster'));
+            });
+            return;
+        }
+
+        cb(null, cluster);
+    });
+}
+
+/*
+ * Close the clients and stop the servers of a cluster from createCluster().
+ */
+function cleanupCluster(cluster, callback) {
+    vasync.forEachParallel({
+        'inputs': cluster.clients,
+        'func': function closeClusterClient(client, subcallback) {
+            client.once('close', function () { subcallback(); });
+            client.close();
+        }
+    }, function () {
+        vasync.forEachParallel({
+            'inputs': cluster.servers,
+            'func': cleanupServer
+        }, function () {
+            cluster.clients = [];
+            cluster.servers = [];
+            callback();
+        });
+    });
+}
+
+/*
+ * Ask the system for a free TCP port that isn't in "exclude" and invoke
+ * callback(err, port).  Something else could take the port before the caller
+ * uses it, but that's unlikely, since systems don't reuse ports right away.
+ */
+function findFreePort(exclude, callback) {
+    var srv = net.createServer();
+
+    srv.on('error', callback);
+    srv.listen(0, '127.0.0.1', function () {
+        var port = srv.address().port;
+
+        srv.close(function () {
+            if (exclude.indexOf(port) != -1) {
+                findFreePort(exclude, callback);
+            } else {
+                callback(null, port);
+            }
+        });
+    });
 }
 
 ///--- Exports
 
 module.exports = {
+    PORT_RANGE: PORT_RANGE,
+    serverPort: serverPort,
     multipleServersSupported: multipleServersSupported,
+    localServersSupported: localServersSupported,
     createLogger: createLogger,
     createClient: createClient,
     createServer: createServer,
-    cleanupServer: cleanupServer
+    createCluster: createCluster,
+    cleanupServer: cleanupServer,
+    killServer: killServer,
+    restartServer: restartServer,
+    pauseServer: pauseServer,
+    resumeServer: resumeServer
 };
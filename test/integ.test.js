@@ -9,10 +9,10 @@
  */
 
 var libuuid = require('libuuid');
-var tape = require('tape');
 var once = require('once');
 var vasync = require('vasync');
 
+var harness = require('../lib/harness');
 var helper = require('./helper.js');
 
 
@@ -20,36 +20,16 @@ var helper = require('./helper.js');
 ///--- Globals
 
 var c; // client
-var server;
 var b; // bucket
 
-function test(name, setup) {
-    tape.test(name + ' - setup', function (t) {
-        b = 'moray_unit_test_' + libuuid.create().substr(0, 7);
-        helper.createServer(null, function (s) {
-            server = s;
-            c = helper.createClient();
-            c.on('connect', t.end.bind(t));
-        });
-    });
-
-    tape.test(name + ' - main', function (t) {
-        setup(t);
-    });
-
-    tape.test(name + ' - teardown', function (t) {
-        // May or may not exist, just blindly ignore
-        c.delBucket(b, function () {
-            c.on('close', function () {
-                helper.cleanupServer(server, function () {
-                    t.pass('closed');
-                    t.end();
-                });
-            });
-            c.close();
-        });
-    });
-}
+var test = harness.createTestFunction({
+    'bucket': true,
+    'setup': function (fixtures, callback) {
+        c = fixtures.client;
+        b = fixtures.bucket;
+        callback();
+    }
+});
 
 
 ///--- Tests
@@ -555,8 +535,10 @@ test('MORAY-131 case insensitive substrings match', function (t) {
 });
 
 
-test('MORAY-322 bucketCache shootdown during update', function (t) {
-    var server2;
+test('MORAY-322 bucketCache shootdown during update', {
+    'freshServer': true
+}, function (t) {
+    var cluster;
     var c2;
     var k = libuuid.create();
     var cfg = {
@@ -571,7 +553,7 @@ test('MORAY-322 bucketCache shootdown during update', function (t) {
     };
 
     if (!helper.multipleServersSupported()) {
-        t.skip('skipping because running against remote server');
+        t.skip('skipping because another server is not available');
         t.end();
         return;
     }
@@ -579,15 +561,20 @@ test('MORAY-322 bucketCache shootdown during update', function (t) {
     vasync.pipeline({
         funcs: [
             function setupServer(_, cb) {
-                cb = once(cb);
                 var opts = {
-                    portOverride: 2021
+                    count: 1,
+                    logName: 'MORAY-322-second'
                 };
-                helper.createServer(opts, function (s) {
-                    server2 = s;
-                    c2 = helper.createClient();
-                    c2.once('error', cb);
-                    c2.once('connect', cb);
+                helper.createCluster(opts, function (err, cl) {
+                    if (err) {
+                        cb(err);
+                        return;
+                    }
+
+                    cluster = cl;
+                    t.comment('server log: ' + cl.servers[0].ts_log);
+                    c2 = cl.clients[0];
+                    cb();
                 });
             },
             function setupBucket(_, cb) {
@@ -659,11 +646,13 @@ test('MORAY-322 bucketCache shootdown during update', function (t) {
         arg: null
     }, function (err, results) {
         t.ifError(err);
-        c2.on('close', function () {
-            helper.cleanupServer(server2, function () {
-                t.end();
-            });
+        if (cluster === undefined) {
+            t.end();
+            return;
+        }
+
+        cluster.cleanup(function () {
+            t.end();
         });
-        c2.close();
     });
 });
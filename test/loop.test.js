@@ -13,6 +13,13 @@
  * loop with modest concurrency.  By default, it fails if any request fails or
  * takes too long.  You can configure this test to ignore explicit errors in
  * order to test client behavior in the face of server restarts.
+ *
+ * With --inject-outages=ACTION, the test also injects server outages
+ * periodically (see lib/outages.js for the supported values of ACTION) and
+ * ignores explicit errors.  At the end, it reports how many operations failed
+ * during each outage.  A failure is attributed to the most recent outage that
+ * started before it, since operations may keep failing for a little while after
+ * the server comes back.
  */
 
 var assert = require('assert-plus');
@@ -24,15 +31,22 @@ var VError = require('verror');
 
 var moray = require('moray');
 var helper = require('./helper');
+var outages = require('../lib/outages');
 
 
 ///--- Globals
 
-var server, client, queue;
+var server, client, queue, schedule;
 var noperations = 5000;             /* total operations to complete */
 var concurrency = 5;                /* concurrency of operations */
 var timeout = 60000;                /* per-operation timeout */
 var ignoreExplicitErrors = false;   /* ignore explicit moray failures */
+var outageAction = null;            /* kind of outages to inject */
+var outageInterval = 5000;          /* time between outages */
+var outageDuration = 2000;          /* duration of each outage */
+var noutages = 0;                   /* count of outages started */
+var nbyoutage = [ 0 ];              /* count of failures by outage number */
+var start = Date.now();             /* time when the test started */
 var nokay = 0;                      /* count of successful operations */
 var nfailed = 0;                    /* count of total failures */
 var nbyerror = {};                  /* count of failures by error name */
@@ -49,25 +63,70 @@ var bucketconfig = {
 ///--- Mainline
 
 function main() {
-    if (process.argv[2] == '--ignore-explicit-errors') {
+    process.argv.slice(2).forEach(function (arg) {
+        if (arg == '--ignore-explicit-errors') {
+            ignoreExplicitErrors = true;
+        } else if (/^--inject-outages=/.test(arg)) {
+            outageAction = arg.substr('--inject-outages='.length);
+            ignoreExplicitErrors = true;
+        } else {
+            console.error('unsupported argument: %s', arg);
+            process.exit(2);
+        }
+    });
+
+    if (ignoreExplicitErrors) {
         console.log('ignoring explicit errors');
-        ignoreExplicitErrors = true;
     }
 
     console.log('starting server');
-    helper.createServer(null, function (s) {
+    helper.createServer(null, function (err, s) {
+        assert.ifError(err);
         server = s;
-        client = helper.createClient({ 'level': 'fatal' });
-
         queue = vasync.queuev({
             'concurrency': concurrency,
             'worker': makeOneRequest
         });
 
-        client.once('connect', onClientReady);
+        helper.createClient({ 'level': 'fatal' }, function (err2, c) {
+            assert.ifError(err2);
+            client = c;
+            onClientReady();
+        });
     });
 }
 
+/*
+ * Start injecting outages of the configured kind into the server.
+ */
+function startOutages() {
+    console.log('injecting "%s" outages (%dms every %dms)',
+        outageAction, outageDuration, outageInterval);
+    schedule = new outages.OutageSchedule(server, {
+        'action': outageAction,
+        'duration': outageDuration,
+        'interval': outageInterval
+    });
+
+    schedule.on('outageStart', function (n) {
+        noutages = n;
+        nbyoutage[n] = 0;
+        console.log('outage %d: starting', n);
+    });
+
+    schedule.on('outageEnd', function (outage) {
+        console.log('outage %d: server available again after %dms',
+            noutages, outage.o_end - outage.o_start);
+    });
+
+    schedule.on('error', function (err) {
+        console.error('failed to recover from outage: %s', err.message);
+        throw (err);
+    });
+
+    schedule.start();
+}
+
 /*
  * Invoked upon successful connection to Moray to enqueue however many
  * operations we intend to complete.  When we've finished them all, invokes
@@ -93,10 +152,19 @@ function onClientReady() {
 
         queue.on('end', function () {
             console.log('all operations completed');
-            cleanup();
+            if (schedule === undefined) {
+                cleanup();
+                return;
+            }
+
+            console.log('stopping outages');
+            schedule.stop(cleanup);
         });
 
         queue.close();
+        if (outageAction !== null) {
+            startOutages();
+        }
     });
 }
 
@@ -128,7 +196,7 @@ function makeOneRequest(opstate, qcallback) {
                     assert.deepEqual(newvalue.value, opstate.op_value);
                 }
 
-                opstate.op_error = err;
+                opstate.op_error = geterr;
                 finishRequest(opstate, qcallback);
             });
     });
@@ -156,6 +224,7 @@ function finishRequest(opstate, qcallback) {
             nbyerror[errname] = 0;
         }
         nbyerror[errname]++;
+        nbyoutage[noutages]++;
         nfailed++;
     } else {
         nokay++;
@@ -185,6 +254,17 @@ function cleanup() {
         console.log('    %d error: %s', count, errname);
     });
 
+    if (schedule !== undefined) {
+        console.log('%d operations failed before the first outage',
+            nbyoutage[0]);
+        schedule.outages().forEach(function (outage, i) {
+            console.log('%d operations failed during outage %d ' +
+                '(%s, %dms to %dms after start)', nbyoutage[i + 1], i + 1,
+                outage.o_action, outage.o_start - start,
+                outage.o_end - start);
+        });
+    }
+
     console.log('deleting test bucket "%s"', bucket);
     client.deleteBucket(bucket, function (err) {
         assert.ifError(err);
@@ -9,7 +9,6 @@
  */
 
 var jsprim = require('jsprim');
-var tape = require('tape');
 var once = require('once');
 var libuuid = require('libuuid');
 var vasync = require('vasync');
@@ -17,6 +16,7 @@ var util = require('util');
 var net = require('net');
 var VError = require('verror');
 
+var harness = require('../lib/harness');
 var helper = require('./helper.js');
 
 
@@ -87,41 +87,21 @@ var BUCKET_CFG = {
 };
 
 var c; // client
-var server;
 var b; // bucket
 
-function test(name, setup) {
-    tape.test(name + ' - setup', function (t) {
-        b = 'moray_unit_test_' + uuid.v4().substr(0, 7);
-        helper.createServer(null, function (s) {
-            server = s;
-            c = helper.createClient();
-            c.on('connect', function () {
-                c.createBucket(b, BUCKET_CFG, function (err) {
-                    t.ifError(err);
-                    t.end();
-                });
-            });
-        });
-    });
-
-    tape.test(name + ' - main', function (t) {
-        setup(t);
-    });
-
-    tape.test(name + ' - teardown', function (t) {
-        c.delBucket(b, function (err) {
-            t.ifError(err);
-            c.once('close', function () {
-                helper.cleanupServer(server, function () {
-                    t.pass('closed');
-                    t.end();
-                });
-            });
-            c.close();
-        });
-    });
-}
+/*
+ * There are a lot of test cases here, and they're all isolated by bucket, so
+ * they share a single server.
+ */
+var test = harness.createTestFunction({
+    'sharedServer': true,
+    'bucket': BUCKET_CFG,
+    'setup': function (fixtures, callback) {
+        c = fixtures.client;
+        b = fixtures.bucket;
+        callback();
+    }
+});
 
 
 ///--- Helpers
@@ -454,8 +434,11 @@ test('legacy error unwrapping behavior', function (t) {
 
     vasync.pipeline({
         funcs: [ function mkClient(_, cb) {
-            c2 = helper.createClient({ 'unwrapErrors': true });
-            c2.on('connect', function () { cb(); });
+            helper.createClient({ 'unwrapErrors': true },
+                function (err, client) {
+                c2 = client;
+                cb(err);
+            });
         }, function put(_, cb) {
             c2.putObject(b, k, v, cb);
         }, function drop(_, cb) {
@@ -478,6 +461,11 @@ test('legacy error unwrapping behavior', function (t) {
         arg: {}
     }, function (err) {
         t.ifError(err);
+        if (c2 === undefined) {
+            t.end();
+            return;
+        }
+
         c2.once('close', function () { t.end(); });
         c2.close();
     });
@@ -0,0 +1,214 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2016, Joyent, Inc.
+ */
+
+/*
+ * shutdown.test.js: test client and server behavior while the server shuts down
+ * gracefully
+ */
+
+var vasync = require('vasync');
+var VError = require('verror');
+
+var capabilities = require('../lib/capabilities');
+var harness = require('../lib/harness');
+var helper = require('./helper.js');
+
+/* number of requests outstanding when we shut down the server */
+var NREQUESTS = 5;
+
+/* how long each outstanding request takes on the server (in seconds) */
+var REQUEST_SECONDS = 2;
+
+/*
+ * These test cases start and stop their own servers, so they can't run against
+ * a remote server.
+ */
+var test = harness.createTestFunction({
+    'server': false,
+    'client': false,
+    'skip': function () {
+        return (helper.localServersSupported() ? null :
+            'requires servers started by the test suite');
+    }
+});
+
+test('graceful shutdown: idle server', function (t) {
+    helper.createServer({
+        'logName': 'idle'
+    }, function (err, server) {
+        t.ifError(err, 'start server');
+        if (err) {
+            t.end();
+            return;
+        }
+
+        t.comment('server log: ' + server.ts_log);
+        helper.cleanupServer(server, {
+            'graceful': true
+        }, function (err2, info) {
+            t.ifError(err2, 'server shut down cleanly');
+            t.comment('server exited (status ' + info.status + ', signal ' +
+                info.signal + ') after ' + info.duration + 'ms');
+            t.end();
+        });
+    });
+});
+
+/*
+ * Shut down the server while several slow requests are outstanding.  Each
+ * request must either complete successfully or fail with an error.  It must not
+ * hang (which the harness reports as a timeout), and the server must exit
+ * cleanly.
+ */
+test('graceful shutdown: requests in flight', function (t) {
+    var server, client, barrier, stopped, nok, nfailed;
+
+    stopped = false;
+    nok = 0;
+    nfailed = 0;
+    barrier = vasync.barrier();
+
+    vasync.pipeline({
+        'funcs': [
+            function startServer(_, callback) {
+                helper.createServer({
+                    'logName': 'in-flight'
+                }, function (err, s) {
+                    if (!err) {
+                        server = s;
+                        t.comment('server log: ' + server.ts_log);
+                    }
+                    callback(err);
+                });
+            },
+
+            function startClient(_, callback) {
+                helper.createClient(null, function (err, c) {
+                    client = c;
+                    callback(err);
+                });
+            },
+
+            function startRequests(_, callback) {
+                var i;
+
+                for (i = 0; i < NREQUESTS; i++) {
+                    startRequest(i);
+                }
+
+                /*
+                 * Give the requests a moment to reach the server before
+                 * shutting it down.
+                 */
+                setTimeout(function () { callback(); }, 500);
+            },
+
+            function stopServer(_, callback) {
+                barrier.start('shutdown');
+                stopped = true;
+                helper.cleanupServer(server, {
+                    'graceful': true,
+                    'timeout': 2 * REQUEST_SECONDS * 1000 + 10000
+                }, function (err, info) {
+                    t.ifError(err, 'server shut down cleanly');
+                    t.comment('server exited (status ' + info.status +
+                        ', signal ' + info.signal + ') after ' +
+                        info.duration + 'ms');
+                    barrier.done('shutdown');
+                });
+
+                barrier.on('drain', function () { callback(); });
+            }
+        ]
+    }, function (err) {
+        t.ifError(err);
+        if (!err) {
+            t.equal(nok + nfailed, NREQUESTS, 'all requests completed');
+            t.comment(nok + ' requests succeeded, ' + nfailed + ' failed');
+        }
+
+        vasync.pipeline({
+            'funcs': [
+                function closeClient(_, callback) {
+                    if (client === undefined) {
+                        callback();
+                        return;
+                    }
+
+                    client.once('close', function () { callback(); });
+                    client.close();
+                },
+
+                function killServer(_, callback) {
+                    if (server === undefined || stopped) {
+                        callback();
+                        return;
+                    }
+
+                    helper.cleanupServer(server, function () { callback(); });
+                }
+            ]
+        }, function () { t.end(); });
+    });
+
+    function startRequest(i) {
+        var label, req, done;
+
+        label = 'request ' + i;
+        done = false;
+        barrier.start(label);
+        req = client.sql('SELECT pg_sleep($1)', [ REQUEST_SECONDS ], {});
+        req.on('record', function () {});
+        req.once('error', function (err) {
+            checkTransportError(t, err, label);
+            finish(false);
+        });
+        req.once('end', function () {
+            t.pass(label + ' completed');
+            finish(true);
+        });
+
+        function finish(ok) {
+            t.ok(!done, label + ' completed only once');
+            if (done) {
+                return;
+            }
+
+            done = true;
+            if (ok) {
+                nok++;
+            } else {
+                nfailed++;
+            }
+            barrier.done(label);
+        }
+    }
+});
+
+/*
+ * A request that's outstanding while the server shuts down should either
+ * complete or fail because the connection closed underneath it.  Clients prior
+ * to node-moray2 do not provide wrapped errors, so for those we only check that
+ * this is a real error.
+ */
+function checkTransportError(t, err, label) {
+    var cause;
+
+    t.ok(err instanceof Error, label + ' failed with an error (' +
+        err.message + ')');
+    if (capabilities.checkClient('wrappedErrors') !== null) {
+        return;
+    }
+
+    cause = VError.findCauseByName(err, 'FastTransportError') ||
+        VError.findCauseByName(err, 'FastProtocolError');
+    t.notStrictEqual(cause, null, label + ' failed because the connection ' +
+        'closed (' + err.name + ')');
+}
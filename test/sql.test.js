@@ -8,42 +8,23 @@
  * Copyright (c) 2014, Joyent, Inc.
  */
 
-var tape = require('tape');
 var util = require('util');
 var uuid = require('libuuid').create;
 
-var helper = require('./helper.js');
+var harness = require('../lib/harness');
 
 
 var c; // client
-var server;
 var table = 'moray_unit_test_' + uuid().substr(0, 7);
 var sql;
 var q;
 
-function test(name, setup) {
-    tape.test(name + ' - setup', function (t) {
-        helper.createServer(null, function (s) {
-            server = s;
-            c = helper.createClient();
-            c.on('connect', t.end.bind(t));
-        });
-    });
-
-    tape.test(name + ' - main', function (t) {
-        setup(t);
-    });
-
-    tape.test(name + ' - teardown', function (t) {
-        c.once('close', function () {
-            helper.cleanupServer(server, function () {
-                t.pass('closed');
-                t.end();
-            });
-        });
-        c.close();
-    });
-}
+var test = harness.createTestFunction({
+    'setup': function (fixtures, callback) {
+        c = fixtures.client;
+        callback();
+    }
+});
 
 
 test('sql - execute', function (t) {
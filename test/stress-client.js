@@ -66,6 +66,14 @@ function main()
         'level': process.env['LOG_LEVEL'] || 'fatal'
     });
 
+    /*
+     * Several of the commands stop their servers, which we can only do with
+     * servers that we start ourselves.
+     */
+    if (!helper.localServersSupported()) {
+        cmdutil.fail('requires servers started by the test suite');
+    }
+
     console.error('pid %d: setting up', process.pid);
 
     kang.knStartServer({
@@ -81,7 +89,11 @@ function main()
         /*
          * First, set up a server that all clients can use.
          */
-        helper.createServer(null, function (s) {
+        helper.createServer(null, function (err, s) {
+            if (err) {
+                cmdutil.fail(new VError(err, 'create server'));
+            }
+
             scServer = s;
 
             /*
@@ -258,12 +270,19 @@ scCommands.push({
 scCommands.push({
     'name': 'make RPC requests after connection closed',
     'setup': function cmdRpcDisconnectedSetup(ctx, callback) {
-        helper.createServer({ 'portOverride': 2021 }, function (s) {
+        helper.createServer({
+            'portOverride': helper.serverPort(1)
+        }, function (err, s) {
+            if (err) {
+                callback(err);
+                return;
+            }
+
             ctx.server = s;
             ctx.client = moray.createClient({
                 'log': ctx.log.child({ 'component': 'MorayClient' }),
                 'host': '127.0.0.1',
-                'port': 2021
+                'port': helper.serverPort(1)
             });
             ctx.client.on('connect', function () {
                 helper.cleanupServer(ctx.server, callback);
@@ -290,7 +309,7 @@ scCommands.push({
         ctx.client = moray.createClient({
             'log': ctx.log.child({ 'component': 'MorayClient' }),
             'host': '127.0.0.1',
-            'port': 2022,
+            'port': helper.serverPort(2),
             'maxConnections': 1,
             'retry': {
                 'minTimeout': 50,
@@ -337,11 +356,11 @@ scCommands.push({
                 function cmdRpcReconnectSetupServer(_, subcallback) {
                     ctx.log.debug('creating server');
                     helper.createServer({
-                        'portOverride': 2022
-                    }, function (s) {
+                        'portOverride': helper.serverPort(2)
+                    }, function (err, s) {
                         ctx.log.debug('server up');
                         ctx.server = s;
-                        subcallback();
+                        subcallback(err);
                     });
                 },
 
@@ -401,8 +420,10 @@ scCommands.push({
 scCommands.push({
     'name': 'failed RPC requests',
     'setup': function cmdRpcFailSetup(ctx, callback) {
-        ctx.client = helper.createClient();
-        ctx.client.on('connect', callback);
+        helper.createClient(null, function (err, client) {
+            ctx.client = client;
+            callback(err);
+        });
     },
     'exec': function cmdRpcFail(ctx, callback) {
         ctx.pipeline = vasync.pipeline({
@@ -534,8 +555,10 @@ scCommands.push({
 scCommands.push({
     'name': 'successful RPC requests',
     'setup': function cmdRpcOkaySetup(ctx, callback) {
-        ctx.client = helper.createClient();
-        ctx.client.on('connect', callback);
+        helper.createClient(null, function (err, client) {
+            ctx.client = client;
+            callback(err);
+        });
     },
     'exec': function cmdRpcOkay(ctx, callback) {
         ctx.pipeline = vasync.pipeline({
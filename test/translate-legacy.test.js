@@ -16,12 +16,24 @@
 var assertplus = require('assert-plus');
 var moray = require('moray');
 var tape = require('tape');
+var capabilities = require('../lib/capabilities');
 var translateLegacyOptions = moray.Client.privateTranslateLegacyOptions;
 
 var testcases;
 
 function main()
 {
+    var reason = capabilities.checkClient('translateLegacyOptions');
+
+    if (reason !== null) {
+        tape.test('translate legacy options', function (t) {
+            t.skip('skipped (requires translateLegacyOptions: ' +
+                reason + ')');
+            t.end();
+        });
+        return;
+    }
+
     testcases.forEach(defineTestCase);
 }
 
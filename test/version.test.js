@@ -13,46 +13,28 @@
  */
 
 var moray = require('moray');
-var net = require('net');
 var tape = require('tape');
 var vasync = require('vasync');
 var VError = require('verror');
+var capabilities = require('../lib/capabilities');
+var FakeServer = require('../lib/fakeserver').FakeServer;
+var harness = require('../lib/harness');
 var helper = require('./helper.js');
 
-var client, server;
+var client;
 
-function test(name, setup) {
-    tape.test(name + ' - setup', function (t) {
-        helper.createServer(null, function (s) {
-            server = s;
-            client = helper.createClient();
-            client.on('connect', function () { t.end(); });
-        });
-    });
-
-    tape.test(name + ' - main', function (t) {
-        /*
-         * If we're being tested with a client that predates the
-         * "versionInternal" method, then the "version" method does the same
-         * thing, but fakes up a response instead of returning a timeout error,
-         * so we don't bother testing it.
-         */
-        if (client.versionInternal === undefined) {
-            t.skip('skipped (old client)');
-            t.end();
-        } else {
-            setup(t);
-        }
-    });
-
-    tape.test(name + ' - teardown', function (t) {
-        client.close();
-        helper.cleanupServer(server, function () {
-            t.pass('closed');
-            t.end();
-        });
-    });
-}
+/*
+ * If we're being tested with a client that predates the "versionInternal"
+ * method, then the "version" method does the same thing, but fakes up a
+ * response instead of returning a timeout error, so we don't bother testing it.
+ */
+var test = harness.createTestFunction({
+    'setup': function (fixtures, callback) {
+        client = fixtures.client;
+        callback();
+    },
+    'requires': [ 'versionInternal' ]
+});
 
 /*
  * Tests the "version" RPC call from the current Moray server.  See the note
@@ -68,23 +50,42 @@ test('version RPC: current server implementation', function (t) {
 
 /*
  * Tests the "version" RPC call from a Moray server that does not respond.  This
- * case is synthetic (i.e., we fake up a server that doesn't respond), but old
- * implementations actually didn't respond, so this case is important.
+ * case is synthetic (i.e., we fake up a server that doesn't respond to the
+ * "version" RPC), but old implementations actually didn't respond, so this case
+ * is important.
  */
 tape('version RPC: non-responsive server (takes 20s)', function (t) {
-    var c, skip = false;
+    var c, server, reason;
+
+    /*
+     * See above.
+     */
+    reason = capabilities.checkClient('versionInternal');
+    if (reason !== null) {
+        t.skip('skipped (requires versionInternal: ' + reason + ')');
+        t.end();
+        return;
+    }
+
+    reason = capabilities.checkClient('fastServer');
+    if (reason !== null) {
+        t.skip('skipped (requires fastServer: ' + reason + ')');
+        t.end();
+        return;
+    }
 
     vasync.waterfall([
-        function startTcpServer(callback) {
-            server = net.createServer();
-            server.listen(function () { callback(); });
+        function startFakeServer(callback) {
+            server = new FakeServer();
+            server.respond('version', { 'silent': true });
+            server.listen(function (err) { callback(err); });
         },
 
         function connectClient(callback) {
             c = moray.createClient({
                 'log': helper.createLogger(),
-                'host': server.address().address,
-                'port': server.address().port,
+                'host': '127.0.0.1',
+                'port': server.port(),
                 'maxConnections': 1
             });
 
@@ -92,27 +93,16 @@ tape('version RPC: non-responsive server (takes 20s)', function (t) {
         },
 
         function makeRpc(callback) {
-            /*
-             * See above.
-             */
-            if (c.versionInternal === undefined) {
-                skip = true;
-                t.skip('skipped (old client)');
-                callback();
-            } else {
-                c.versionInternal(callback);
-            }
+            c.versionInternal(callback);
         }
     ], function (err, version) {
-        if (!skip) {
-            t.ok(err);
-            t.ok(VError.findCauseByName(err, 'TimeoutError') !== null);
-            t.ok(/note: very old Moray versions do not respond to this RPC/.
-                test(err.message));
-            t.ok(version === undefined || version === null);
-        }
+        t.ok(err);
+        t.ok(VError.findCauseByName(err, 'TimeoutError') !== null);
+        t.ok(/note: very old Moray versions do not respond to this RPC/.
+            test(err.message));
+        t.ok(version === undefined || version === null);
         t.end();
         c.close();
-        server.close();
+        server.close(function () {});
     });
 });